@@ -1,7 +1,18 @@
 const categories = ['Behavioral', 'Technical', 'Situational', 'Motivational'];
 const FOLLOW_UP_LIMIT = 4;
-const USERS_KEY = 'prepgpt_users_v1';
-const CURRENT_USER_KEY = 'prepgpt_current_user_v1';
+const TRANSCRIPTION_CHUNK_MS = 1500;
+const VOLUME_SAMPLE_MS = 250;
+const CATEGORY_ANSWER_SECONDS = { Behavioral: 120, Technical: 180, Situational: 120, Motivational: 90 };
+const TIMED_PRESETS = {
+  relaxed: { thinkingSeconds: 45, answerScale: 1.5, hardStop: false, autoStart: false, budgetMinutes: 45 },
+  standard: { thinkingSeconds: 30, answerScale: 1, hardStop: true, autoStart: false, budgetMinutes: 30 },
+  intense: { thinkingSeconds: 10, answerScale: 0.75, hardStop: true, autoStart: true, budgetMinutes: 20 }
+};
+const LEGACY_USERS_KEY = 'prepgpt_users_v1';
+const LEGACY_CURRENT_USER_KEY = 'prepgpt_current_user_v1';
+const UI_LANGUAGE_KEY = 'prepgpt_ui_language_v1';
+
+const questionAudioCache = new Map();
 
 const state = {
   questions: [],
@@ -10,15 +21,49 @@ const state = {
   mediaRecorder: null,
   audioChunks: [],
   currentAudioBlob: null,
+  currentWords: [],
+  currentVolumeLevels: [],
+  currentRecordedSeconds: 0,
+  volumeMeter: null,
+  transcriptionStream: null,
   resumeText: '',
   jobDescriptionText: '',
   recordingSeconds: 0,
   timerInterval: null,
   dynamicFollowUpsEnabled: true,
+  conversational: false,
+  drill: null,
+  practicePlan: null,
+  applications: [],
+  selectedApplication: null,
+  editingApplication: null,
+  applicationId: null,
+  analytics: null,
+  interviewerVoice: false,
+  hideQuestionUntilSpoken: false,
+  serverVoiceUnavailable: false,
+  questionPlayback: null,
+  speechToken: 0,
+  timed: null,
+  timedInterval: null,
+  questionShownAt: 0,
+  currentTiming: null,
   generatedFollowUps: 0,
   lastAnalysis: null,
   currentUser: null,
-  interviewLanguage: 'English'
+  sessions: [],
+  profile: null,
+  candidateProfile: null,
+  profileSourceKey: '',
+  gapReport: null,
+  questionSets: [],
+  editingQuestionSet: null,
+  interviewLanguage: 'English',
+  languages: [],
+  lexicon: null,
+  uiLanguage: 'English',
+  uiLocale: 'en',
+  messages: {}
 };
 
 const authScreen = document.getElementById('auth-screen');
@@ -58,22 +103,68 @@ const setupSaveProfileBtn = document.getElementById('setup-save-profile-btn');
 const setupSessionHistory = document.getElementById('setup-session-history');
 const setupProgressHistory = document.getElementById('setup-progress-history');
 
+const applicationSelect = document.getElementById('application-select');
+const applicationStatus = document.getElementById('application-status');
+const applicationEditor = document.getElementById('application-editor');
+const newApplicationBtn = document.getElementById('new-application-btn');
+const editApplicationBtn = document.getElementById('edit-application-btn');
+const deleteApplicationBtn = document.getElementById('delete-application-btn');
 const resumeTextarea = document.getElementById('resume');
 const resumeFileInput = document.getElementById('resume-file');
 const jdTextarea = document.getElementById('job-description');
 const jdFileInput = document.getElementById('job-description-file');
+const resumeFileStatus = document.getElementById('resume-file-status');
+const jdFileStatus = document.getElementById('job-description-file-status');
+const parseProfileBtn = document.getElementById('parse-profile-btn');
+const profileStatus = document.getElementById('profile-status');
+const profileEditor = document.getElementById('profile-editor');
+const gapAnalysisBtn = document.getElementById('gap-analysis-btn');
+const gapReport = document.getElementById('gap-report');
+const gapFocusRow = document.getElementById('gap-focus-row');
+const gapFocusInput = document.getElementById('gap-focus');
+const questionSetSelect = document.getElementById('question-set-select');
+const questionSetMode = document.getElementById('question-set-mode');
+const questionSetImport = document.getElementById('question-set-import');
+const questionSetStatus = document.getElementById('question-set-status');
+const questionSetEditor = document.getElementById('question-set-editor');
+const newQuestionSetBtn = document.getElementById('new-question-set-btn');
+const editQuestionSetBtn = document.getElementById('edit-question-set-btn');
+const deleteQuestionSetBtn = document.getElementById('delete-question-set-btn');
+const exportQuestionSetJsonBtn = document.getElementById('export-question-set-json-btn');
+const exportQuestionSetCsvBtn = document.getElementById('export-question-set-csv-btn');
 const dynamicFollowUpsInput = document.getElementById('dynamic-followups');
+const conversationalModeInput = document.getElementById('conversational-mode');
+const interviewerVoiceInput = document.getElementById('interviewer-voice');
+const hideQuestionTextInput = document.getElementById('hide-question-text');
+const timedModeInput = document.getElementById('timed-mode');
+const timedSettings = document.getElementById('timed-settings');
+const timedPresetInput = document.getElementById('timed-preset');
+const timedThinkingInput = document.getElementById('timed-thinking');
+const timedBudgetInput = document.getElementById('timed-budget');
+const timedLimitsContainer = document.getElementById('timed-limits');
 const interviewLanguageInput = document.getElementById('interview-language');
+const uiLanguageInput = document.getElementById('ui-language');
 
 const slidersContainer = document.getElementById('sliders');
 const prepareBtn = document.getElementById('prepare-btn');
 const startSimulationBtn = document.getElementById('start-simulation-btn');
 const restartBtn = document.getElementById('restart-btn');
 const exportReportBtn = document.getElementById('export-report-btn');
+const startDrillBtn = document.getElementById('start-drill-btn');
+const setupDrillBtn = document.getElementById('setup-drill-btn');
+const drillFocus = document.getElementById('drill-focus');
+const drillProgress = document.getElementById('drill-progress');
+const resultsApplication = document.getElementById('results-application');
+const practiceToday = document.getElementById('practice-today');
+const analyticsPanel = document.getElementById('analytics-panel');
+const startPracticeBtn = document.getElementById('start-practice-btn');
 
 const questionTitle = document.getElementById('question-title');
 const questionMeta = document.getElementById('question-meta');
+const questionTransition = document.getElementById('question-transition');
 const currentQuestion = document.getElementById('current-question');
+const timedStatus = document.getElementById('timed-status');
+const replayQuestionBtn = document.getElementById('replay-question-btn');
 const starHelper = document.getElementById('star-helper');
 
 const recordBtn = document.getElementById('record-btn');
@@ -96,40 +187,87 @@ const answerTranscript = document.getElementById('answer-transcript');
 const overallScore = document.getElementById('overall-score');
 const overallFeedback = document.getElementById('overall-feedback');
 const nextStepPlan = document.getElementById('next-step-plan');
+const timeManagementSummary = document.getElementById('time-management');
+const analysisProgress = document.getElementById('analysis-progress');
 const scoreRing = document.getElementById('score-ring');
 const categoryBars = document.getElementById('category-bars');
 const distribution = document.getElementById('distribution');
 const detailedResults = document.getElementById('detailed-results');
 const progressHistory = document.getElementById('progress-history');
 
-function showScreen(screen) {
-  [authScreen, setupScreen, instructionScreen, questionScreen, coachingScreen, loadingScreen, resultsScreen].forEach((section) => {
-    section.classList.add('hidden');
-  });
-  screen.classList.remove('hidden');
+function t(key, params = {}) {
+  const template = state.messages[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
 }
 
-function getUsers() {
-  try {
-    const parsed = JSON.parse(localStorage.getItem(USERS_KEY) || '[]');
-    return Array.isArray(parsed) ? parsed : [];
-  } catch {
-    return [];
+function categoryLabel(category) {
+  return state.messages[`category.${category}`] || category;
+}
+
+function applyStaticTranslations() {
+  document.documentElement.lang = state.uiLocale;
+  document.title = t('app.title');
+  document.querySelectorAll('[data-i18n]').forEach((el) => { el.textContent = t(el.dataset.i18n); });
+  document.querySelectorAll('[data-i18n-html]').forEach((el) => { el.innerHTML = t(el.dataset.i18nHtml); });
+  document.querySelectorAll('[data-i18n-placeholder]').forEach((el) => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+  document.querySelectorAll('[data-i18n-aria-label]').forEach((el) => { el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel)); });
+}
+
+function refreshLocalizedViews() {
+  renderQuestionSetOptions(questionSetSelect.value);
+  renderApplicationOptions(applicationSelect.value);
+  if (state.editingApplication) renderApplicationEditor(readApplicationEditor());
+  renderSessionHistory();
+  renderProgressHistory();
+  renderSetupHistory();
+  renderPracticePlan();
+  renderAnalytics();
+  recordText.textContent = t(state.timerInterval ? 'record.active' : 'record.idle');
+  if (state.gapReport) renderGapReport(state.gapReport);
+  if (state.candidateProfile && !profileEditor.classList.contains('hidden')) renderProfileEditor(readProfileFromEditor());
+  if (state.editingQuestionSet) renderQuestionSetEditor(readQuestionSetEditor());
+  if (!questionScreen.classList.contains('hidden')) {
+    renderQuestionHeader();
+    renderTimedStatus();
+  }
+  if (!coachingScreen.classList.contains('hidden')) {
+    syncCoachingEdits();
+    renderCoachingScreen();
   }
+  if (state.lastAnalysis && !resultsScreen.classList.contains('hidden')) renderResults(state.lastAnalysis);
 }
 
-function saveUsers(users) {
-  localStorage.setItem(USERS_KEY, JSON.stringify(users));
+function getInitialUiLanguage() {
+  const saved = localStorage.getItem(UI_LANGUAGE_KEY);
+  if (state.languages.some((item) => item.language === saved)) return saved;
+  const browserCodes = (navigator.languages || [navigator.language]).map((code) => String(code).slice(0, 2).toLowerCase());
+  const match = browserCodes.map((code) => state.languages.find((item) => item.code === code)).find(Boolean);
+  return match?.language || 'English';
 }
 
-function persistCurrentUser(email) {
-  localStorage.setItem(CURRENT_USER_KEY, email);
+async function setUiLanguage(language) {
+  try {
+    const response = await fetch(`/api/languages/${encodeURIComponent(language)}/messages`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Could not load interface messages.');
+    state.uiLanguage = data.language;
+    state.uiLocale = data.code || 'en';
+    state.messages = data.messages || {};
+    localStorage.setItem(UI_LANGUAGE_KEY, data.language);
+  } catch (error) {
+    console.warn('Interface messages unavailable, keeping the current language:', error);
+    return;
+  }
+  uiLanguageInput.value = state.uiLanguage;
+  applyStaticTranslations();
+  refreshLocalizedViews();
 }
 
-function getCurrentUser() {
-  const email = localStorage.getItem(CURRENT_USER_KEY);
-  if (!email) return null;
-  return getUsers().find((u) => u.email === email) || null;
+function showScreen(screen) {
+  [authScreen, setupScreen, instructionScreen, questionScreen, coachingScreen, loadingScreen, resultsScreen].forEach((section) => {
+    section.classList.add('hidden');
+  });
+  screen.classList.remove('hidden');
 }
 
 function setCurrentUser(user) {
@@ -137,15 +275,21 @@ function setCurrentUser(user) {
   userChip.textContent = user ? `${user.name} (${user.email})` : '';
 }
 
-function updateCurrentUser(mutator) {
+async function updateCurrentUser(mutator) {
   if (!state.currentUser) return;
-  const users = getUsers();
-  const i = users.findIndex((u) => u.email === state.currentUser.email);
-  if (i < 0) return;
-  const updated = mutator({ ...users[i] });
-  users[i] = updated;
-  saveUsers(users);
-  setCurrentUser(updated);
+  const updated = mutator({ ...state.currentUser });
+  const response = await fetch('/api/me', {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      name: updated.name,
+      headline: updated.headline,
+      targetRole: updated.targetRole
+    })
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || t('errors.saveProfile'));
+  setCurrentUser(data.user);
 }
 
 function showAuthPanel(mode) {
@@ -154,62 +298,97 @@ function showAuthPanel(mode) {
   signupPanel.classList.toggle('hidden', loginMode);
 }
 
-function bootstrapAuth() {
-  const user = getCurrentUser();
-  if (user) {
-    setCurrentUser(user);
-    hydrateProfileInputs();
-    showScreen(setupScreen);
-  } else {
-    showScreen(authScreen);
-    showAuthPanel('login');
+function dropLegacyAccounts() {
+  const stored = localStorage.getItem(LEGACY_USERS_KEY);
+  if (stored === null && localStorage.getItem(LEGACY_CURRENT_USER_KEY) === null) return;
+  let hadAccounts = false;
+  try {
+    const users = JSON.parse(stored || '[]');
+    hadAccounts = Array.isArray(users) && users.length > 0;
+  } catch {
+    hadAccounts = Boolean(stored);
+  }
+  if (hadAccounts) alert(t('auth.legacyNotice'));
+  localStorage.removeItem(LEGACY_USERS_KEY);
+  localStorage.removeItem(LEGACY_CURRENT_USER_KEY);
+}
+
+async function bootstrapAuth() {
+  dropLegacyAccounts();
+
+  try {
+    const response = await fetch('/api/me');
+    if (response.ok) {
+      const data = await response.json();
+      setCurrentUser(data.user);
+      hydrateProfileInputs();
+      showScreen(setupScreen);
+      return;
+    }
+  } catch (error) {
+    console.warn('Session check failed:', error);
   }
+
+  showScreen(authScreen);
+  showAuthPanel('login');
+}
+
+async function submitAuth(url, payload, fallbackError) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || fallbackError);
+  setCurrentUser(data.user);
+  hydrateProfileInputs();
+  showScreen(setupScreen);
 }
 
-function handleSignup() {
+async function handleSignup() {
   const name = signupName.value.trim();
   const email = signupEmail.value.trim().toLowerCase();
   const password = signupPassword.value;
 
   if (!name || !email || !password) {
-    alert('Please fill all sign-up fields.');
+    alert(t('auth.fillAll'));
     return;
   }
 
-  const users = getUsers();
-  if (users.some((u) => u.email === email)) {
-    alert('Account already exists for this email. Please log in.');
-    return;
+  try {
+    await submitAuth('/api/auth/signup', { name, email, password }, t('auth.signupFailed'));
+    signupPassword.value = '';
+  } catch (error) {
+    alert(error.message);
   }
-
-  const user = { name, email, password, headline: '', targetRole: '', sessions: [], createdAt: new Date().toISOString() };
-  users.push(user);
-  saveUsers(users);
-  persistCurrentUser(email);
-  setCurrentUser(user);
-  hydrateProfileInputs();
-  showScreen(setupScreen);
 }
 
-function handleLogin() {
+async function handleLogin() {
   const email = loginEmail.value.trim().toLowerCase();
   const password = loginPassword.value;
-  const user = getUsers().find((u) => u.email === email && u.password === password);
 
-  if (!user) {
-    alert('Invalid email or password.');
-    return;
+  try {
+    await submitAuth('/api/auth/login', { email, password }, t('auth.loginFailed'));
+    loginPassword.value = '';
+  } catch (error) {
+    alert(error.message);
   }
-
-  persistCurrentUser(email);
-  setCurrentUser(user);
-  hydrateProfileInputs();
-  showScreen(setupScreen);
 }
 
-function logout() {
-  localStorage.removeItem(CURRENT_USER_KEY);
+async function logout() {
+  try {
+    await fetch('/api/auth/logout', { method: 'POST' });
+  } catch (error) {
+    console.warn('Logout request failed:', error);
+  }
   setCurrentUser(null);
+  state.sessions = [];
+  state.questionSets = [];
+  state.practicePlan = null;
+  state.analytics = null;
+  state.applications = [];
+  state.selectedApplication = null;
   showScreen(authScreen);
 }
 
@@ -227,24 +406,30 @@ function hydrateProfileInputs() {
   if (setupProfileHeadline) setupProfileHeadline.value = headline;
   if (setupProfileRole) setupProfileRole.value = role;
 
-  renderSessionHistory();
-  renderProgressHistory();
-  renderSetupHistory();
+  loadSessions();
+  loadQuestionSets();
+  loadApplications();
 }
 
-function saveProfile() {
+async function saveProfile() {
   const nextName = (setupProfileName?.value || profileName?.value || '').trim();
   const nextHeadline = (setupProfileHeadline?.value || profileHeadline?.value || '').trim();
   const nextRole = (setupProfileRole?.value || profileRole?.value || '').trim();
 
-  updateCurrentUser((user) => ({
-    ...user,
-    name: nextName || user.name,
-    headline: nextHeadline,
-    targetRole: nextRole
-  }));
+  try {
+    await updateCurrentUser((user) => ({
+      ...user,
+      name: nextName || user.name,
+      headline: nextHeadline,
+      targetRole: nextRole
+    }));
+  } catch (error) {
+    console.error(error);
+    alert(error.message || t('errors.saveProfile'));
+    return;
+  }
   hydrateProfileInputs();
-  alert('Profile updated.');
+  alert(t('profile.updated'));
 }
 
 function createSliders() {
@@ -252,7 +437,7 @@ function createSliders() {
     const wrapper = document.createElement('div');
     wrapper.className = 'slider-group';
     wrapper.innerHTML = `
-      <div class="slider-label"><span>${category}</span><strong id="${category}-value">2</strong></div>
+      <div class="slider-label"><span data-i18n="category.${category}">${categoryLabel(category)}</span><strong id="${category}-value">2</strong></div>
       <input type="range" id="${category}" min="0" max="6" value="2" />`;
     slidersContainer.appendChild(wrapper);
     const slider = wrapper.querySelector('input');
@@ -278,7 +463,7 @@ function startTimerUI() {
   state.recordingSeconds = 0;
   recordDot.classList.remove('hidden');
   recordDot.classList.add('active');
-  recordText.textContent = 'Recording in progress';
+  recordText.textContent = t('record.active');
   recordTimer.textContent = '00:00';
   state.timerInterval = setInterval(() => {
     state.recordingSeconds += 1;
@@ -291,159 +476,1238 @@ function stopTimerUI() {
   state.timerInterval = null;
   recordDot.classList.remove('active');
   recordDot.classList.add('hidden');
-  recordText.textContent = 'Not recording';
+  recordText.textContent = t('record.idle');
+}
+
+function createTimedLimitInputs() {
+  categories.forEach((category) => {
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = `
+      <label for="limit-${category}" data-i18n="category.${category}">${categoryLabel(category)}</label>
+      <input id="limit-${category}" type="number" min="15" max="600" data-limit-category="${category}" />`;
+    timedLimitsContainer.appendChild(wrapper);
+  });
+  applyTimedPreset(timedPresetInput.value);
+}
+
+function applyTimedPreset(name) {
+  const preset = TIMED_PRESETS[name] || TIMED_PRESETS.standard;
+  timedThinkingInput.value = preset.thinkingSeconds;
+  timedBudgetInput.value = preset.budgetMinutes;
+  timedLimitsContainer.querySelectorAll('[data-limit-category]').forEach((input) => {
+    input.value = Math.round(CATEGORY_ANSWER_SECONDS[input.dataset.limitCategory] * preset.answerScale);
+  });
+}
+
+function readTimedSettings() {
+  if (!timedModeInput.checked) return null;
+  const preset = TIMED_PRESETS[timedPresetInput.value] || TIMED_PRESETS.standard;
+  const answerLimits = {};
+  timedLimitsContainer.querySelectorAll('[data-limit-category]').forEach((input) => {
+    const category = input.dataset.limitCategory;
+    answerLimits[category] = Math.max(15, Math.round(Number(input.value)) || CATEGORY_ANSWER_SECONDS[category]);
+  });
+  return {
+    thinkingSeconds: Math.max(0, Math.round(Number(timedThinkingInput.value)) || 0),
+    budgetSeconds: Math.max(1, Number(timedBudgetInput.value) || preset.budgetMinutes) * 60,
+    answerLimits,
+    hardStop: preset.hardStop,
+    autoStart: preset.autoStart,
+    startedAt: 0,
+    endedAt: 0,
+    skippedQuestions: 0
+  };
+}
+
+function currentAnswerLimit() {
+  const questionObj = state.questions[state.currentIndex];
+  return state.timed.answerLimits[questionObj?.category] || CATEGORY_ANSWER_SECONDS.Behavioral;
+}
+
+function interviewElapsedSeconds() {
+  const { startedAt, endedAt } = state.timed;
+  return startedAt ? Math.round(((endedAt || Date.now()) - startedAt) / 1000) : 0;
+}
+
+function isOverBudget() {
+  return Boolean(state.timed) && interviewElapsedSeconds() >= state.timed.budgetSeconds;
+}
+
+function thinkingSecondsLeft() {
+  return state.timed.thinkingSeconds - Math.floor((Date.now() - state.questionShownAt) / 1000);
+}
+
+function renderTimedStatus() {
+  if (!state.timed) {
+    timedStatus.classList.add('hidden');
+    return;
+  }
+  const parts = [];
+  let warning = false;
+  if (state.timerInterval) {
+    const left = currentAnswerLimit() - state.recordingSeconds;
+    parts.push(left >= 0 ? t('timed.answerLeft', { time: toTimer(left) }) : t('timed.answerOver', { time: toTimer(-left) }));
+    warning = left <= 10;
+  } else if (state.questionShownAt && !state.currentTiming) {
+    const left = thinkingSecondsLeft();
+    parts.push(left >= 0 ? t('timed.thinkingLeft', { time: toTimer(left) }) : t('timed.thinkingOver', { time: toTimer(-left) }));
+    warning = left < 0;
+  }
+  const budgetLeft = state.timed.budgetSeconds - interviewElapsedSeconds();
+  parts.push(budgetLeft > 0 ? t('timed.budgetLeft', { time: toTimer(budgetLeft) }) : t('timed.budgetOver'));
+  timedStatus.textContent = parts.join(' • ');
+  timedStatus.classList.toggle('timed-warning', warning || budgetLeft <= 0);
+  timedStatus.classList.remove('hidden');
+}
+
+function tickTimedMode() {
+  if (!state.timed) return;
+  if (state.timerInterval && state.timed.hardStop && state.recordingSeconds >= currentAnswerLimit()) {
+    state.currentTiming.autoStopped = true;
+    stopRecording();
+  } else if (state.timed.autoStart && state.questionShownAt && !state.currentTiming && thinkingSecondsLeft() <= 0) {
+    startRecording();
+  }
+  renderTimedStatus();
+}
+
+function startTimedTicker() {
+  if (!state.timed || state.timedInterval) return;
+  state.timedInterval = setInterval(tickTimedMode, 1000);
+}
+
+function stopTimedTicker() {
+  if (state.timedInterval) clearInterval(state.timedInterval);
+  state.timedInterval = null;
+}
+
+function finishTimedInterview() {
+  state.timed.skippedQuestions += state.questions.length - 1 - state.currentIndex;
+  state.questions = state.questions.slice(0, state.currentIndex + 1);
+  state.timed.endedAt = Date.now();
+  stopTimedTicker();
+}
+
+function describeTiming(timing) {
+  return [
+    timing.timeToStartSeconds !== null && timing.thinkingSeconds !== null && t('timing.start', { seconds: timing.timeToStartSeconds, thinking: timing.thinkingSeconds }),
+    timing.answerSeconds !== null && timing.limitSeconds && t('timing.answer', { answer: toTimer(timing.answerSeconds), limit: toTimer(timing.limitSeconds) }),
+    timing.autoStopped && t('timing.cutOff'),
+    timing.penalty > 0 && t('timing.penalty', { points: timing.penalty })
+  ].filter(Boolean).join(' • ');
+}
+
+function describeTimeManagement(summary) {
+  const params = { elapsed: toTimer(summary.elapsedSeconds), budget: toTimer(summary.budgetSeconds) };
+  if (!summary.overBudgetSeconds && !summary.skippedQuestions) return t('results.timeBudget', params);
+  return t('results.overBudget', { ...params, over: toTimer(summary.overBudgetSeconds), skipped: summary.skippedQuestions });
+}
+
+async function extractFileText(file) {
+  const formData = new FormData();
+  formData.append('file', file, file.name);
+  const response = await fetch('/api/extract-text', { method: 'POST', body: formData });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || t('upload.failed'));
+  return data;
+}
+
+async function handleDocumentUpload(fileInput, textarea, statusEl) {
+  const file = fileInput.files?.[0];
+  if (!file) return;
+  statusEl.textContent = t('upload.reading', { name: file.name });
+  try {
+    const data = await extractFileText(file);
+    textarea.value = data.text;
+    statusEl.textContent = data.warnings?.length
+      ? data.warnings.join(' ')
+      : t('upload.extracted', { name: file.name });
+  } catch (error) {
+    console.error(error);
+    statusEl.textContent = error.message;
+  }
+}
+
+async function getInputText(textarea, fileInput, inputName) {
+  const typedText = textarea.value.trim();
+  const file = fileInput.files?.[0];
+  if (typedText) return typedText;
+  if (!file) return '';
+
+  const data = await extractFileText(file);
+  if (!data.text) throw new Error(t('upload.empty', { input: inputName }));
+  return data.text;
+}
+
+const SENIORITY_LEVELS = ['intern', 'junior', 'mid', 'senior', 'lead', 'executive', 'unspecified'];
+
+function escapeHtml(text = '') {
+  return String(text).replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+function renderRoleEditor(role = {}, index) {
+  return `
+    <div class="profile-role" data-role-index="${index}">
+      <input type="text" data-role-field="title" placeholder="${escapeHtml(t('profile.roleTitle'))}" value="${escapeHtml(role.title)}" />
+      <input type="text" data-role-field="employer" placeholder="${escapeHtml(t('profile.employer'))}" value="${escapeHtml(role.employer)}" />
+      <div class="profile-dates">
+        <input type="text" data-role-field="startDate" placeholder="${escapeHtml(t('profile.start'))}" value="${escapeHtml(role.startDate)}" />
+        <input type="text" data-role-field="endDate" placeholder="${escapeHtml(t('profile.end'))}" value="${escapeHtml(role.endDate)}" />
+      </div>
+      <textarea data-role-field="achievements" rows="3" placeholder="${escapeHtml(t('profile.achievementsPlaceholder'))}">${escapeHtml((role.achievements || []).map((a) => a.text).join('\n'))}</textarea>
+      <button class="btn-secondary btn-small" data-remove-role="${index}">${t('profile.removeRole')}</button>
+    </div>`;
+}
+
+function renderProfileEditor(profile) {
+  const resume = profile.resume || {};
+  const jd = profile.jobDescription || {};
+  const lines = (items = []) => escapeHtml(items.join('\n'));
+
+  profileEditor.innerHTML = `
+    <div class="viz-card">
+      <h4>${t('profile.resume')}</h4>
+      <label>${t('profile.roles')}</label>
+      <div id="profile-roles">${(resume.roles || []).map(renderRoleEditor).join('')}</div>
+      <button id="add-role-btn" class="btn-secondary btn-small">${t('profile.addRole')}</button>
+      <label>${t('profile.skills')}</label>
+      <textarea id="profile-skills" rows="2">${escapeHtml((resume.skills || []).join(', '))}</textarea>
+      <label>${t('profile.education')}</label>
+      <textarea id="profile-education" rows="2">${lines(resume.education)}</textarea>
+    </div>
+    <div class="viz-card">
+      <h4>${t('profile.jobDescription')}</h4>
+      <label>${t('profile.jdTitle')}</label>
+      <input id="profile-jd-title" type="text" value="${escapeHtml(jd.title)}" />
+      <label>${t('profile.company')}</label>
+      <input id="profile-jd-company" type="text" value="${escapeHtml(jd.company)}" />
+      <label>${t('profile.seniority')}</label>
+      <select id="profile-jd-seniority" class="select-input">${SENIORITY_LEVELS.map((level) => `<option value="${level}"${level === jd.seniority ? ' selected' : ''}>${t(`seniority.${level}`)}</option>`).join('')}</select>
+      <label>${t('profile.mustHaves')}</label>
+      <textarea id="profile-jd-must" rows="4">${lines(jd.mustHaves)}</textarea>
+      <label>${t('profile.niceToHaves')}</label>
+      <textarea id="profile-jd-nice" rows="3">${lines(jd.niceToHaves)}</textarea>
+      <label>${t('profile.responsibilities')}</label>
+      <textarea id="profile-jd-responsibilities" rows="3">${lines(jd.responsibilities)}</textarea>
+      <label>${t('profile.skills')}</label>
+      <textarea id="profile-jd-skills" rows="2">${escapeHtml((jd.skills || []).join(', '))}</textarea>
+    </div>`;
+  profileEditor.classList.remove('hidden');
+}
+
+function readProfileFromEditor() {
+  if (!state.candidateProfile || profileEditor.classList.contains('hidden')) return state.candidateProfile;
+  const value = (id) => document.getElementById(id)?.value.trim() || '';
+  const splitLines = (id) => value(id).split('\n').map((line) => line.trim()).filter(Boolean);
+  const splitCommas = (id) => value(id).split(',').map((item) => item.trim()).filter(Boolean);
+
+  const roles = [...profileEditor.querySelectorAll('[data-role-index]')].map((el) => {
+    const field = (name) => el.querySelector(`[data-role-field="${name}"]`).value.trim();
+    return {
+      title: field('title'),
+      employer: field('employer'),
+      startDate: field('startDate'),
+      endDate: field('endDate'),
+      achievements: field('achievements').split('\n').map((line) => line.trim()).filter(Boolean).map((text) => ({ text, metrics: [] }))
+    };
+  }).filter((role) => role.title || role.employer || role.achievements.length);
+
+  state.candidateProfile = {
+    resume: { ...state.candidateProfile.resume, roles, skills: splitCommas('profile-skills'), education: splitLines('profile-education') },
+    jobDescription: {
+      title: value('profile-jd-title'),
+      company: value('profile-jd-company'),
+      seniority: value('profile-jd-seniority') || 'unspecified',
+      mustHaves: splitLines('profile-jd-must'),
+      niceToHaves: splitLines('profile-jd-nice'),
+      responsibilities: splitLines('profile-jd-responsibilities'),
+      skills: splitCommas('profile-jd-skills')
+    }
+  };
+  return state.candidateProfile;
+}
+
+function handleProfileEditorClick(event) {
+  if (event.target.id === 'add-role-btn') {
+    readProfileFromEditor();
+    state.candidateProfile.resume.roles.push({ title: '', employer: '', startDate: '', endDate: '', achievements: [] });
+    renderProfileEditor(state.candidateProfile);
+    return;
+  }
+  const removeIndex = event.target.getAttribute('data-remove-role');
+  if (removeIndex !== null) {
+    event.target.closest('[data-role-index]').remove();
+    readProfileFromEditor();
+    renderProfileEditor(state.candidateProfile);
+  }
+}
+
+function profileSourceKey(resume, jobDescription) {
+  return `${resume}\u0000${jobDescription}`;
+}
+
+function getActiveProfile(resume, jobDescription) {
+  if (!state.candidateProfile || state.profileSourceKey !== profileSourceKey(resume, jobDescription)) return null;
+  return readProfileFromEditor();
+}
+
+async function parseProfile() {
+  parseProfileBtn.disabled = true;
+  profileStatus.textContent = t('profile.parsing');
+  try {
+    const resume = await getInputText(resumeTextarea, resumeFileInput, t('input.resume'));
+    const jobDescription = await getInputText(jdTextarea, jdFileInput, t('input.jobDescription'));
+    if (!resume || !jobDescription) throw new Error(t('profile.missingInputs'));
+
+    const response = await fetch('/api/parse-profile', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ resume, jobDescription })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || t('profile.parseFailed'));
+    if (data.warning) console.warn(data.warning);
+
+    state.candidateProfile = data.profile;
+    state.profileSourceKey = profileSourceKey(resume, jobDescription);
+    renderProfileEditor(data.profile);
+    profileStatus.textContent = t('profile.review');
+  } catch (error) {
+    console.error(error);
+    profileStatus.textContent = error.message;
+  } finally {
+    parseProfileBtn.disabled = false;
+  }
+}
+
+function renderGapReport(report) {
+  const statusClass = { covered: 'badge-high', weak: 'badge-mid', missing: 'badge-low' };
+  const rows = (report.requirements || []).map((item) => `
+    <li>
+      <span class="score-badge ${statusClass[item.status]}">${t(`gap.${item.status}`)}</span>
+      <strong>${escapeHtml(item.requirement)}</strong> <span class="meta">(${t(item.type === 'must' ? 'gap.mustHave' : 'gap.niceToHave')}, ${categoryLabel(item.category)})</span>
+      ${item.reasoning ? `<br /><span class="meta">${escapeHtml(item.reasoning)}</span>` : ''}
+      ${item.evidence ? `<br /><em>“${escapeHtml(item.evidence)}”</em>` : ''}
+    </li>`).join('');
+
+  gapReport.innerHTML = `
+    <h4>${t('gap.coverage', { coverage: report.coverage })}</h4>
+    <p>${escapeHtml(report.summary)}</p>
+    ${rows ? `<ul class="gap-list">${rows}</ul>` : ''}
+    ${report.missingSkills?.length ? `<p><strong>${t('gap.missingSkills')}</strong> ${report.missingSkills.map((skill) => `<span class="dist-chip">${escapeHtml(skill)}</span>`).join('')}</p>` : ''}`;
+  gapReport.classList.remove('hidden');
+  gapFocusRow.classList.toggle('hidden', !getOpenGaps().length);
+}
+
+function getOpenGaps() {
+  return (state.gapReport?.requirements || []).filter((item) => item.status !== 'covered');
+}
+
+function weightCountsTowardGaps(counts, gaps) {
+  const demand = categories.reduce((acc, category) => ({ ...acc, [category]: 0 }), {});
+  gaps.forEach((gap) => {
+    if (demand[gap.category] !== undefined) demand[gap.category] += gap.type === 'must' ? 2 : 1;
+  });
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  const weighted = { ...counts };
+  let shifts = Math.min(2, Math.floor(total / 3));
+
+  while (shifts > 0) {
+    const target = categories.slice().sort((a, b) => demand[b] - demand[a])[0];
+    const donor = categories
+      .filter((category) => category !== target && weighted[category] > 0)
+      .sort((a, b) => demand[a] - demand[b] || weighted[b] - weighted[a])[0];
+    if (!donor || demand[target] === 0 || demand[donor] >= demand[target]) break;
+    weighted[donor] -= 1;
+    weighted[target] += 1;
+    demand[target] -= 1;
+    shifts -= 1;
+  }
+  return weighted;
+}
+
+async function runGapAnalysis() {
+  gapAnalysisBtn.disabled = true;
+  gapAnalysisBtn.textContent = t('gap.checking');
+  try {
+    const resume = await getInputText(resumeTextarea, resumeFileInput, t('input.resume'));
+    const jobDescription = await getInputText(jdTextarea, jdFileInput, t('input.jobDescription'));
+    if (!resume || !jobDescription) throw new Error(t('profile.missingInputs'));
+
+    const response = await fetch('/api/gap-analysis', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        resume,
+        jobDescription,
+        profile: getActiveProfile(resume, jobDescription),
+        language: interviewLanguageInput?.value || state.interviewLanguage
+      })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || t('gap.failed'));
+    if (data.warning) console.warn(data.warning);
+
+    state.gapReport = data.report;
+    renderGapReport(data.report);
+  } catch (error) {
+    console.error(error);
+    alert(error.message);
+  } finally {
+    gapAnalysisBtn.disabled = false;
+    gapAnalysisBtn.textContent = t('setup.checkGaps');
+  }
+}
+
+async function loadApplications(selectedId = applicationSelect.value) {
+  if (!state.currentUser) return;
+  try {
+    const response = await fetch('/api/applications');
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || t('applications.loadFailed'));
+    state.applications = data.applications || [];
+  } catch (error) {
+    console.error(error);
+    state.applications = [];
+  }
+  renderApplicationOptions(selectedId);
+}
+
+function getSelectedApplication() {
+  return state.applications.find((item) => item.id === applicationSelect.value) || null;
+}
+
+function applicationLabel(application) {
+  return [application.company, application.role].filter(Boolean).join(' — ');
+}
+
+function renderApplicationOptions(selectedId = '') {
+  applicationSelect.innerHTML = `<option value="">${t('applications.none')}</option>${state.applications.map((item) => `
+    <option value="${item.id}"${item.id === selectedId ? ' selected' : ''}>${escapeHtml(applicationLabel(item))}</option>`).join('')}`;
+  if (!getSelectedApplication()) state.selectedApplication = null;
+  renderApplicationStatus();
+}
+
+function describeInterviewDate(date) {
+  const today = new Date();
+  const days = Math.round((Date.parse(date) - Date.UTC(today.getFullYear(), today.getMonth(), today.getDate())) / (24 * 60 * 60 * 1000));
+  if (days === 0) return t('applications.interviewToday');
+  if (days > 0) return t('applications.interviewIn', { days });
+  return t('applications.interviewPassed', { date: new Date(`${date}T00:00:00`).toLocaleDateString(state.uiLocale) });
+}
+
+function renderApplicationStatus() {
+  const selected = getSelectedApplication();
+  editApplicationBtn.disabled = !selected;
+  deleteApplicationBtn.disabled = !selected;
+  if (!selected) {
+    applicationStatus.textContent = '';
+    return;
+  }
+  applicationStatus.textContent = [
+    selected.interviewDate ? describeInterviewDate(selected.interviewDate) : '',
+    selected.sessionCount
+      ? t('applications.sessions', { count: selected.sessionCount, latest: selected.latestScore, best: selected.bestScore })
+      : t('applications.noSessions'),
+    selected.notes
+  ].filter(Boolean).join(' • ');
+}
+
+async function fetchApplication(id) {
+  const response = await fetch(`/api/applications/${encodeURIComponent(id)}`);
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || t('applications.loadOneFailed'));
+  return data.application;
+}
+
+function fillFromApplication(application) {
+  if (application.resume) resumeTextarea.value = application.resume;
+  if (application.jobDescription) jdTextarea.value = application.jobDescription;
+}
+
+async function selectApplication() {
+  closeApplicationEditor();
+  state.selectedApplication = null;
+  renderApplicationStatus();
+  renderSetupHistory();
+  loadAnalytics();
+  if (!applicationSelect.value) return;
+  try {
+    state.selectedApplication = await fetchApplication(applicationSelect.value);
+    fillFromApplication(state.selectedApplication);
+  } catch (error) {
+    console.error(error);
+    applicationStatus.textContent = error.message;
+  }
+}
+
+function renderApplicationEditor(application) {
+  state.editingApplication = application;
+  applicationEditor.innerHTML = `
+    <h4>${t(application.id ? 'applications.editTitle' : 'applications.newTitle')}</h4>
+    <label>${t('applications.company')}</label>
+    <input id="application-company" type="text" value="${escapeHtml(application.company)}" />
+    <label>${t('applications.role')}</label>
+    <input id="application-role" type="text" value="${escapeHtml(application.role)}" />
+    <label>${t('applications.interviewDate')}</label>
+    <input id="application-interview-date" type="date" value="${escapeHtml(application.interviewDate)}" />
+    <label>${t('applications.jobDescription')}</label>
+    <textarea id="application-job-description" rows="6">${escapeHtml(application.jobDescription)}</textarea>
+    <label>${t('applications.resume')}</label>
+    <textarea id="application-resume" rows="6">${escapeHtml(application.resume)}</textarea>
+    <label>${t('applications.notes')}</label>
+    <textarea id="application-notes" rows="3" placeholder="${escapeHtml(t('applications.notesPlaceholder'))}">${escapeHtml(application.notes)}</textarea>
+    <div class="actions">
+      <button id="save-application-btn" class="btn-small">${t('applications.save')}</button>
+      <button id="cancel-application-btn" class="btn-secondary btn-small">${t('applications.cancel')}</button>
+    </div>`;
+  applicationEditor.classList.remove('hidden');
+}
+
+function readApplicationEditor() {
+  const field = (id) => document.getElementById(id).value.trim();
+  return {
+    ...state.editingApplication,
+    company: field('application-company'),
+    role: field('application-role'),
+    interviewDate: field('application-interview-date'),
+    jobDescription: field('application-job-description'),
+    resume: field('application-resume'),
+    notes: field('application-notes')
+  };
+}
+
+function closeApplicationEditor() {
+  state.editingApplication = null;
+  applicationEditor.innerHTML = '';
+  applicationEditor.classList.add('hidden');
+}
+
+function newApplication() {
+  renderApplicationEditor({
+    company: '',
+    role: state.currentUser?.targetRole || '',
+    interviewDate: '',
+    jobDescription: jdTextarea.value.trim(),
+    resume: resumeTextarea.value.trim(),
+    notes: ''
+  });
+}
+
+async function saveApplication() {
+  const application = readApplicationEditor();
+  try {
+    const response = await fetch(application.id ? `/api/applications/${encodeURIComponent(application.id)}` : '/api/applications', {
+      method: application.id ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(application)
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || t('applications.saveFailed'));
+    await loadApplications(data.application.id);
+    await selectApplication();
+    applicationStatus.textContent = t('applications.saved', { name: applicationLabel(data.application) });
+  } catch (error) {
+    console.error(error);
+    applicationStatus.textContent = error.message;
+  }
+}
+
+async function editApplication() {
+  const selected = getSelectedApplication();
+  if (!selected) return;
+  try {
+    renderApplicationEditor(await fetchApplication(selected.id));
+  } catch (error) {
+    console.error(error);
+    applicationStatus.textContent = error.message;
+  }
+}
+
+async function deleteApplication() {
+  const selected = getSelectedApplication();
+  if (!selected || !confirm(t('applications.confirmDelete', { name: applicationLabel(selected) }))) return;
+  try {
+    const response = await fetch(`/api/applications/${encodeURIComponent(selected.id)}`, { method: 'DELETE' });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || t('applications.deleteFailed'));
+    state.sessions = state.sessions.map((s) => (s.applicationId === selected.id ? { ...s, applicationId: null } : s));
+    await loadApplications('');
+    await selectApplication();
+    applicationStatus.textContent = t('applications.deleted', { name: applicationLabel(selected) });
+  } catch (error) {
+    console.error(error);
+    applicationStatus.textContent = error.message;
+  }
+}
+
+function handleApplicationEditorClick(event) {
+  if (event.target.id === 'save-application-btn') saveApplication();
+  else if (event.target.id === 'cancel-application-btn') closeApplicationEditor();
+}
+
+function sessionsForApplication(applicationId) {
+  return applicationId ? state.sessions.filter((s) => s.applicationId === applicationId) : state.sessions;
+}
+
+async function loadQuestionSets(selectedId = questionSetSelect.value) {
+  if (!state.currentUser) return;
+  try {
+    const response = await fetch('/api/question-sets');
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || t('sets.loadFailed'));
+    state.questionSets = data.sets || [];
+  } catch (error) {
+    console.error(error);
+    state.questionSets = [];
+  }
+  renderQuestionSetOptions(selectedId);
+}
+
+function getSelectedSetSummary() {
+  return state.questionSets.find((set) => set.id === questionSetSelect.value) || null;
+}
+
+function renderQuestionSetOptions(selectedId = '') {
+  questionSetSelect.innerHTML = `<option value="">${t('sets.none')}</option>${state.questionSets.map((set) => `
+    <option value="${set.id}"${set.id === selectedId ? ' selected' : ''}>${escapeHtml(set.owned
+    ? t('sets.option', { name: set.name, count: set.questionCount })
+    : t('sets.optionShared', { name: set.name, count: set.questionCount, author: set.authorName || t('sets.aCoach') }))}</option>`).join('')}`;
+  updateQuestionSetButtons();
+}
+
+function updateQuestionSetButtons() {
+  const selected = getSelectedSetSummary();
+  editQuestionSetBtn.disabled = !selected?.owned;
+  deleteQuestionSetBtn.disabled = !selected?.owned;
+  exportQuestionSetJsonBtn.disabled = !selected;
+  exportQuestionSetCsvBtn.disabled = !selected;
+  questionSetMode.disabled = !selected;
+}
+
+async function fetchQuestionSet(id) {
+  const response = await fetch(`/api/question-sets/${encodeURIComponent(id)}`);
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || t('sets.loadOneFailed'));
+  return data.set;
+}
+
+function renderSetQuestionRow(question = {}, index) {
+  return `
+    <div class="profile-role" data-set-question="${index}">
+      <select class="select-input" data-set-field="category">${categories.map((category) => `<option value="${category}"${category === question.category ? ' selected' : ''}>${categoryLabel(category)}</option>`).join('')}</select>
+      <textarea data-set-field="question" rows="2" placeholder="${escapeHtml(t('sets.questionPlaceholder'))}">${escapeHtml(question.question)}</textarea>
+      <textarea data-set-field="modelAnswer" rows="2" placeholder="${escapeHtml(t('sets.modelAnswerPlaceholder'))}">${escapeHtml(question.modelAnswer)}</textarea>
+      <input type="text" data-set-field="rubricNotes" placeholder="${escapeHtml(t('sets.rubricNotesPlaceholder'))}" value="${escapeHtml(question.rubricNotes)}" />
+      <button class="btn-secondary btn-small" data-remove-set-question="${index}">${t('sets.removeQuestion')}</button>
+    </div>`;
+}
+
+function renderQuestionSetEditor(set) {
+  state.editingQuestionSet = set;
+  questionSetEditor.innerHTML = `
+    <h4>${t(set.id ? 'sets.editTitle' : 'sets.newTitle')}</h4>
+    <label>${t('sets.name')}</label>
+    <input id="question-set-name" type="text" value="${escapeHtml(set.name)}" placeholder="${escapeHtml(t('sets.namePlaceholder'))}" />
+    <label>${t('sets.description')}</label>
+    <input id="question-set-description" type="text" value="${escapeHtml(set.description)}" placeholder="${escapeHtml(t('sets.descriptionPlaceholder'))}" />
+    <label class="toggle-row">
+      <input id="question-set-shared" type="checkbox"${set.shared ? ' checked' : ''} />
+      <span>${t('sets.share')}</span>
+    </label>
+    <div id="question-set-rows">${set.questions.map(renderSetQuestionRow).join('')}</div>
+    <div class="actions">
+      <button id="add-set-question-btn" class="btn-secondary btn-small">${t('sets.addQuestion')}</button>
+      <button id="save-question-set-btn" class="btn-small">${t('sets.save')}</button>
+      <button id="cancel-question-set-btn" class="btn-secondary btn-small">${t('sets.cancel')}</button>
+    </div>`;
+  questionSetEditor.classList.remove('hidden');
+}
+
+function readQuestionSetEditor() {
+  const field = (el, name) => el.querySelector(`[data-set-field="${name}"]`).value.trim();
+  return {
+    ...state.editingQuestionSet,
+    name: document.getElementById('question-set-name').value.trim(),
+    description: document.getElementById('question-set-description').value.trim(),
+    shared: document.getElementById('question-set-shared').checked,
+    questions: [...questionSetEditor.querySelectorAll('[data-set-question]')].map((el) => ({
+      category: field(el, 'category'),
+      question: field(el, 'question'),
+      modelAnswer: field(el, 'modelAnswer'),
+      rubricNotes: field(el, 'rubricNotes')
+    }))
+  };
+}
+
+function closeQuestionSetEditor() {
+  state.editingQuestionSet = null;
+  questionSetEditor.innerHTML = '';
+  questionSetEditor.classList.add('hidden');
+}
+
+async function saveQuestionSet() {
+  const draft = readQuestionSetEditor();
+  const set = { ...draft, questions: draft.questions.filter((q) => q.question) };
+  try {
+    const response = await fetch(set.id ? `/api/question-sets/${encodeURIComponent(set.id)}` : '/api/question-sets', {
+      method: set.id ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(set)
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || t('sets.saveFailed'));
+    closeQuestionSetEditor();
+    questionSetStatus.textContent = t('sets.saved', { name: data.set.name });
+    await loadQuestionSets(data.set.id);
+  } catch (error) {
+    console.error(error);
+    questionSetStatus.textContent = error.message;
+  }
+}
+
+async function editQuestionSet() {
+  const selected = getSelectedSetSummary();
+  if (!selected?.owned) return;
+  try {
+    renderQuestionSetEditor(await fetchQuestionSet(selected.id));
+  } catch (error) {
+    console.error(error);
+    questionSetStatus.textContent = error.message;
+  }
+}
+
+async function deleteQuestionSet() {
+  const selected = getSelectedSetSummary();
+  if (!selected?.owned || !confirm(t('sets.confirmDelete', { name: selected.name }))) return;
+  try {
+    const response = await fetch(`/api/question-sets/${encodeURIComponent(selected.id)}`, { method: 'DELETE' });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || t('sets.deleteFailed'));
+    closeQuestionSetEditor();
+    questionSetStatus.textContent = t('sets.deleted', { name: selected.name });
+    await loadQuestionSets('');
+  } catch (error) {
+    console.error(error);
+    questionSetStatus.textContent = error.message;
+  }
+}
+
+function exportQuestionSet(format) {
+  const selected = getSelectedSetSummary();
+  if (selected) window.location.href = `/api/question-sets/${encodeURIComponent(selected.id)}/export?format=${format}`;
+}
+
+async function importQuestionSet() {
+  const file = questionSetImport.files?.[0];
+  if (!file) return;
+  questionSetStatus.textContent = t('sets.importing', { name: file.name });
+  try {
+    const response = await fetch('/api/question-sets/import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        format: /\.csv$/i.test(file.name) ? 'csv' : 'json',
+        content: await file.text(),
+        name: file.name.replace(/\.[^.]+$/, '')
+      })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || t('sets.importFailed'));
+    questionSetStatus.textContent = t('sets.imported', { name: data.set.name, count: data.set.questions.length });
+    await loadQuestionSets(data.set.id);
+  } catch (error) {
+    console.error(error);
+    questionSetStatus.textContent = error.message;
+  } finally {
+    questionSetImport.value = '';
+  }
+}
+
+function handleQuestionSetEditorClick(event) {
+  if (event.target.id === 'add-set-question-btn') {
+    const draft = readQuestionSetEditor();
+    renderQuestionSetEditor({ ...draft, questions: [...draft.questions, { category: categories[0], question: '' }] });
+  } else if (event.target.id === 'save-question-set-btn') {
+    saveQuestionSet();
+  } else if (event.target.id === 'cancel-question-set-btn') {
+    closeQuestionSetEditor();
+  } else if (event.target.hasAttribute('data-remove-set-question')) {
+    event.target.closest('[data-set-question]').remove();
+  }
+}
+
+function pickSetQuestions(set, counts) {
+  return categories.flatMap((category) => set.questions.filter((q) => q.category === category).slice(0, counts[category] || 0));
+}
+
+function orderByCategory(questions) {
+  return categories.flatMap((category) => questions.filter((q) => q.category === category));
+}
+
+async function prepareInterview() {
+  const focusGaps = gapFocusInput.checked ? getOpenGaps() : [];
+  const categoryCounts = focusGaps.length ? weightCountsTowardGaps(collectCategoryCounts(), focusGaps) : collectCategoryCounts();
+  const useSetOnly = Boolean(questionSetSelect.value) && questionSetMode.value === 'only';
+  const totalQuestions = Object.values(categoryCounts).reduce((sum, count) => sum + count, 0);
+  const language = interviewLanguageInput?.value || 'English';
+  prepareBtn.disabled = true;
+  prepareBtn.textContent = t('setup.preparing');
+
+  try {
+    const resume = await getInputText(resumeTextarea, resumeFileInput, t('input.resume'));
+    const jobDescription = await getInputText(jdTextarea, jdFileInput, t('input.jobDescription'));
+
+    if (!resume || !jobDescription) return alert(t('setup.missingInputs'));
+    if (totalQuestions === 0 && !useSetOnly) return alert(t('setup.noQuestions'));
+    const profile = getActiveProfile(resume, jobDescription);
+
+    const questionSet = questionSetSelect.value ? await fetchQuestionSet(questionSetSelect.value) : null;
+    const setQuestions = questionSet ? (useSetOnly ? questionSet.questions : pickSetQuestions(questionSet, categoryCounts)) : [];
+    const remainingCounts = categories.reduce((acc, category) => ({
+      ...acc,
+      [category]: useSetOnly ? 0 : categoryCounts[category] - setQuestions.filter((q) => q.category === category).length
+    }), {});
+
+    let generated = [];
+    if (Object.values(remainingCounts).some((count) => count > 0)) {
+      const response = await fetch('/api/generate-questions', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          resume,
+          jobDescription,
+          profile,
+          categories: remainingCounts,
+          focusAreas: focusGaps.map((gap) => gap.requirement),
+          language
+        })
+      });
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || t('setup.questionsFailed'));
+      if (data.warning) console.warn(data.warning);
+      generated = data.questions;
+    }
+
+    await beginInterview({
+      questions: useSetOnly ? setQuestions : orderByCategory([...setQuestions, ...generated]),
+      resume,
+      jobDescription,
+      profile,
+      language,
+      applicationId: applicationSelect.value || null
+    });
+  } catch (error) {
+    console.error(error);
+    alert(error.message || t('setup.prepareFailed'));
+  } finally {
+    prepareBtn.disabled = false;
+    prepareBtn.textContent = t('setup.prepare');
+  }
+}
+
+async function beginInterview({ questions, resume, jobDescription, profile, language, drill = null, applicationId = null }) {
+  state.questions = questions.map((q, topicIndex) => ({ ...q, isFollowUp: false, topicIndex }));
+  state.answers = [];
+  state.currentIndex = 0;
+  state.resumeText = resume;
+  state.jobDescriptionText = jobDescription;
+  state.profile = profile;
+  state.generatedFollowUps = 0;
+  state.dynamicFollowUpsEnabled = Boolean(dynamicFollowUpsInput.checked);
+  state.conversational = Boolean(conversationalModeInput.checked);
+  state.interviewerVoice = Boolean(interviewerVoiceInput.checked);
+  state.hideQuestionUntilSpoken = state.interviewerVoice && Boolean(hideQuestionTextInput.checked);
+  state.timed = readTimedSettings();
+  state.drill = drill;
+  state.applicationId = applicationId;
+  state.interviewLanguage = language;
+  state.lexicon = await loadLexicon(language);
+
+  const skills = drill ? [...drill.focusCategories.map((item) => categoryLabel(item.category)), ...drill.weakCriteria.map((item) => item.label)] : [];
+  drillFocus.textContent = skills.length ? t('drill.focus', { skills: skills.join(', ') }) : '';
+  drillFocus.classList.toggle('hidden', !skills.length);
+  showScreen(instructionScreen);
+}
+
+async function startDrill(button) {
+  button.disabled = true;
+  button.textContent = t('drill.preparing');
+  try {
+    const response = await fetch('/api/drills', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ language: interviewLanguageInput?.value || state.interviewLanguage })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || t('drill.failed'));
+    if (data.warning) console.warn(data.warning);
+    const { drill } = data;
+    stopSpeaking();
+    clearQuestionAudio();
+    await beginInterview({
+      questions: drill.questions,
+      resume: drill.resume,
+      jobDescription: drill.jobDescription,
+      profile: drill.profile,
+      language: drill.language,
+      drill
+    });
+  } catch (error) {
+    console.error(error);
+    alert(error.message || t('drill.failed'));
+  } finally {
+    button.disabled = false;
+    button.textContent = t('drill.start');
+  }
+}
+
+async function loadPracticePlan() {
+  if (!state.currentUser) return;
+  try {
+    const language = interviewLanguageInput?.value || state.interviewLanguage;
+    const response = await fetch(`/api/practice-schedule/today?language=${encodeURIComponent(language || '')}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || t('practice.loadFailed'));
+    state.practicePlan = data.practice;
+  } catch (error) {
+    console.error(error);
+    state.practicePlan = null;
+  }
+  renderPracticePlan();
+}
+
+function renderPracticePlan() {
+  const plan = state.practicePlan;
+  startPracticeBtn.classList.toggle('hidden', !plan?.questions.length);
+  if (!plan?.questions.length) {
+    const next = plan?.nextDueAt ? t('practice.nextDue', { date: new Date(plan.nextDueAt).toLocaleDateString(state.uiLocale) }) : t('practice.empty');
+    practiceToday.innerHTML = `<p class="meta">${escapeHtml(next)}</p>`;
+    return;
+  }
+  const skills = plan.dueSkills.map((item) => item.label);
+  practiceToday.innerHTML = `
+    <p class="meta">${t('practice.due', { count: plan.dueCount })}</p>
+    <ul>${plan.questions.map((q) => `
+      <li><strong>${escapeHtml(categoryLabel(q.category))}</strong> ${escapeHtml(q.question)}
+        <span class="meta">(${t('practice.lastScore', { score: q.practice.lastScore })})</span></li>`).join('')}</ul>
+    ${skills.length ? `<p class="meta">${escapeHtml(t('practice.skills', { skills: skills.join(', ') }))}</p>` : ''}`;
+}
+
+async function startPractice() {
+  const plan = state.practicePlan;
+  if (!plan?.questions.length) return;
+  stopSpeaking();
+  clearQuestionAudio();
+  await beginInterview({
+    questions: plan.questions,
+    resume: plan.resume,
+    jobDescription: plan.jobDescription,
+    profile: plan.profile,
+    language: plan.language
+  });
+}
+
+function renderQuestionHeader() {
+  const questionObj = state.questions[state.currentIndex];
+  questionTitle.textContent = t('question.counter', { current: state.currentIndex + 1, total: state.questions.length });
+  questionMeta.textContent = [
+    t('question.category', { category: categoryLabel(questionObj.category) }),
+    questionObj.isFollowUp ? t('question.followUp') : '',
+    questionObj.focus?.length ? t('drill.questionFocus', { focus: questionObj.focus.join(', ') }) : '',
+    t('question.language', { language: state.interviewLanguage })
+  ].filter(Boolean).join(' • ');
+  nextBtn.textContent = t(state.currentIndex === state.questions.length - 1 ? 'question.seeCoaching' : 'question.next');
+}
+
+function renderCurrentQuestion() {
+  const questionObj = state.questions[state.currentIndex];
+  renderQuestionHeader();
+  stopSpeaking();
+  state.questionShownAt = 0;
+  state.currentTiming = null;
+  replayQuestionBtn.classList.toggle('hidden', !state.interviewerVoice);
+  questionTransition.textContent = questionObj.transition || '';
+  questionTransition.classList.toggle('hidden', !questionObj.transition);
+  if (state.hideQuestionUntilSpoken) {
+    currentQuestion.textContent = t('question.listening');
+    currentQuestion.classList.add('meta');
+  } else {
+    revealQuestion();
+  }
+  if (state.interviewerVoice) {
+    speakQuestion(questionObj);
+    const upcoming = state.questions[state.currentIndex + 1];
+    if (upcoming && !state.serverVoiceUnavailable) fetchQuestionAudio(upcoming.question).catch(() => {});
+  }
+
+  answerTranscript.value = '';
+  clearRecordingCapture();
+  transcriptStatus.textContent = t('question.recordPrompt');
+  nextBtn.disabled = true;
+
+  stopTimerUI();
+  recordTimer.textContent = '00:00';
+  audioPreview.classList.add('hidden');
+  audioPreview.removeAttribute('src');
+  startTimedTicker();
+  renderTimedStatus();
 }
 
-let pdfJsLibPromise = null;
-async function getPdfJsLib() {
-  if (!pdfJsLibPromise) {
-    pdfJsLibPromise = import('https://cdnjs.cloudflare.com/ajax/libs/pdf.js/4.8.69/pdf.min.mjs').then((module) => {
-      const pdfjsLib = module.default || module;
-      if (pdfjsLib?.GlobalWorkerOptions) {
-        pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/4.8.69/pdf.worker.min.mjs';
-      }
-      return pdfjsLib;
+async function openTranscriptionStream(mimeType) {
+  try {
+    const response = await fetch('/api/transcription-streams', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ language: state.interviewLanguage, mimeType })
     });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Could not start live transcription.');
+    return { id: data.id, seq: 0, queue: Promise.resolve(), failed: false };
+  } catch (error) {
+    console.warn('Live transcription unavailable, transcribing after recording:', error);
+    return null;
   }
-  return pdfJsLibPromise;
 }
 
-async function extractPdfText(file) {
-  const pdfjsLib = await getPdfJsLib();
-  const bytes = new Uint8Array(await file.arrayBuffer());
-  const pdf = await pdfjsLib.getDocument({ data: bytes }).promise;
-  const parts = [];
-  for (let pageNum = 1; pageNum <= pdf.numPages; pageNum += 1) {
-    const page = await pdf.getPage(pageNum);
-    const text = await page.getTextContent();
-    parts.push(text.items.map((item) => item.str).join(' '));
-  }
-  return parts.join('\n').trim();
+function queueTranscriptionChunk(stream, chunk) {
+  const seq = stream.seq++;
+  stream.queue = stream.queue.then(async () => {
+    if (stream.failed) return;
+    const formData = new FormData();
+    formData.append('seq', seq);
+    formData.append('audio', chunk, `chunk-${seq}.webm`);
+    const response = await fetch(`/api/transcription-streams/${stream.id}/chunks`, { method: 'POST', body: formData });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || t('record.requestFailed'));
+    if (state.transcriptionStream === stream && data.partial) {
+      answerTranscript.value = data.partial;
+      transcriptStatus.textContent = t('record.live');
+    }
+  }).catch((error) => {
+    stream.failed = true;
+    console.warn('Live transcription stopped:', error);
+    if (state.transcriptionStream === stream) transcriptStatus.textContent = t('record.liveStopped');
+  });
 }
 
-async function getInputText(textarea, fileInput, inputName) {
-  const typedText = textarea.value.trim();
-  const file = fileInput.files?.[0];
-  if (typedText) return typedText;
-  if (!file) return '';
-
-  const lowerName = file.name.toLowerCase();
-  if (lowerName.endsWith('.pdf') || file.type === 'application/pdf') {
-    const pdfText = await extractPdfText(file);
-    if (!pdfText) throw new Error(`${inputName} PDF appears empty. Please paste text manually.`);
-    return pdfText;
+async function finishTranscriptionStream(stream) {
+  await stream.queue;
+  try {
+    if (stream.failed) throw new Error('Live transcription did not receive every chunk.');
+    const response = await fetch(`/api/transcription-streams/${stream.id}/finish`, { method: 'POST' });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || t('record.requestFailed'));
+    return data;
+  } catch (error) {
+    console.warn('Live transcription could not finish, uploading the full recording:', error);
+    fetch(`/api/transcription-streams/${stream.id}`, { method: 'DELETE' }).catch(() => {});
+    return null;
   }
-
-  const isTextLike = file.type.startsWith('text/') || /\.(txt|md)$/i.test(file.name);
-  if (!isTextLike) throw new Error(`${inputName} file must be .txt, .md, or .pdf.`);
-  return (await file.text()).trim();
 }
 
-async function prepareInterview() {
-  const categoryCounts = collectCategoryCounts();
-  const totalQuestions = Object.values(categoryCounts).reduce((sum, count) => sum + count, 0);
-  prepareBtn.disabled = true;
-  prepareBtn.textContent = 'Preparing...';
-
-  try {
-    const resume = await getInputText(resumeTextarea, resumeFileInput, 'Resume');
-    const jobDescription = await getInputText(jdTextarea, jdFileInput, 'Job description');
-
-    if (!resume || !jobDescription) return alert('Please provide both resume and job description.');
-    if (totalQuestions === 0) return alert('Please choose at least 1 question.');
+function revealQuestion() {
+  const questionObj = state.questions[state.currentIndex];
+  if (questionObj && !state.questionShownAt) state.questionShownAt = Date.now();
+  currentQuestion.classList.remove('meta');
+  currentQuestion.textContent = questionObj ? questionObj.question : '';
+}
 
-    const response = await fetch('/api/generate-questions', {
+function fetchQuestionAudio(text) {
+  const key = `${state.interviewLanguage}\n${text}`;
+  if (!questionAudioCache.has(key)) {
+    const request = fetch('/api/speak', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ resume, jobDescription, categories: categoryCounts, language: state.interviewLanguage })
+      body: JSON.stringify({ text, language: state.interviewLanguage })
+    }).then(async (response) => {
+      if (response.status === 501) state.serverVoiceUnavailable = true;
+      if (!response.ok) throw new Error((await response.json().catch(() => ({}))).error || 'Speech synthesis failed.');
+      return URL.createObjectURL(await response.blob());
     });
+    request.catch(() => questionAudioCache.delete(key));
+    questionAudioCache.set(key, request);
+  }
+  return questionAudioCache.get(key);
+}
 
-    const data = await response.json();
-    if (!response.ok) throw new Error(data.error || 'Could not prepare interview questions.');
+function clearQuestionAudio() {
+  questionAudioCache.forEach((request) => request.then((url) => URL.revokeObjectURL(url)).catch(() => {}));
+  questionAudioCache.clear();
+}
+
+function playAudioUrl(url) {
+  return new Promise((resolve, reject) => {
+    const audio = new Audio(url);
+    state.questionPlayback = audio;
+    audio.onended = resolve;
+    audio.onpause = resolve;
+    audio.onerror = () => reject(new Error('Audio playback failed.'));
+    audio.play().catch(reject);
+  });
+}
+
+function speakWithBrowser(text) {
+  return new Promise((resolve, reject) => {
+    if (!('speechSynthesis' in window)) return reject(new Error('Speech synthesis is not supported in this browser.'));
+    const utterance = new SpeechSynthesisUtterance(text);
+    const code = state.languages.find((item) => item.language === state.interviewLanguage)?.code;
+    if (code) utterance.lang = code;
+    utterance.onend = resolve;
+    utterance.onerror = (event) => reject(new Error(event.error));
+    window.speechSynthesis.speak(utterance);
+  });
+}
 
-    state.questions = data.questions.map((q) => ({ ...q, isFollowUp: false }));
-    state.answers = [];
-    state.currentIndex = 0;
-    state.resumeText = resume;
-    state.jobDescriptionText = jobDescription;
-    state.generatedFollowUps = 0;
-    state.dynamicFollowUpsEnabled = Boolean(dynamicFollowUpsInput.checked);
-    state.interviewLanguage = interviewLanguageInput?.value || 'English';
+function stopSpeaking() {
+  state.speechToken += 1;
+  if (state.questionPlayback) {
+    state.questionPlayback.pause();
+    state.questionPlayback = null;
+  }
+  if ('speechSynthesis' in window) window.speechSynthesis.cancel();
+}
 
-    showScreen(instructionScreen);
+async function speakQuestion(questionObj) {
+  stopSpeaking();
+  const token = state.speechToken;
+  replayQuestionBtn.disabled = true;
+  try {
+    for (const text of [questionObj.transition, questionObj.question].filter(Boolean)) {
+      const url = state.serverVoiceUnavailable ? null : await fetchQuestionAudio(text).catch((error) => {
+        console.warn('Server voice unavailable, using the browser voice:', error);
+        return null;
+      });
+      if (token !== state.speechToken) return;
+      if (url) await playAudioUrl(url);
+      else await speakWithBrowser(text);
+      if (token !== state.speechToken) return;
+    }
   } catch (error) {
-    console.error(error);
-    alert(error.message || 'Failed to prepare interview. Please try again.');
+    console.warn('Interviewer voice failed:', error);
   } finally {
-    prepareBtn.disabled = false;
-    prepareBtn.textContent = 'Prepare for Interview';
+    if (token === state.speechToken) {
+      state.questionPlayback = null;
+      revealQuestion();
+      replayQuestionBtn.disabled = false;
+    }
   }
 }
 
-function renderCurrentQuestion() {
-  const questionObj = state.questions[state.currentIndex];
-  questionTitle.textContent = `Question ${state.currentIndex + 1} of ${state.questions.length}`;
-  questionMeta.textContent = `Category: ${questionObj.category}${questionObj.isFollowUp ? ' • Adaptive follow-up' : ''} • Language: ${state.interviewLanguage}`;
-  currentQuestion.textContent = questionObj.question;
-
-  answerTranscript.value = '';
-  transcriptStatus.textContent = 'Record your answer, then transcribe or edit it before moving on.';
-  nextBtn.disabled = true;
-  nextBtn.textContent = state.currentIndex === state.questions.length - 1 ? 'See Coaching' : 'Next Question';
+function clearRecordingCapture() {
+  state.currentWords = [];
+  state.currentVolumeLevels = [];
+  state.currentRecordedSeconds = 0;
+}
 
-  stopTimerUI();
-  recordTimer.textContent = '00:00';
-  audioPreview.classList.add('hidden');
-  audioPreview.removeAttribute('src');
+function startVolumeMeter(stream) {
+  try {
+    const context = new AudioContext();
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 2048;
+    context.createMediaStreamSource(stream).connect(analyser);
+    const samples = new Float32Array(analyser.fftSize);
+    const levels = [];
+    const interval = setInterval(() => {
+      analyser.getFloatTimeDomainData(samples);
+      const rms = Math.sqrt(samples.reduce((sum, value) => sum + value * value, 0) / samples.length);
+      levels.push(Math.max(-100, Math.round(20 * Math.log10(rms || 1e-5) * 10) / 10));
+    }, VOLUME_SAMPLE_MS);
+    return {
+      levels,
+      stop() {
+        clearInterval(interval);
+        context.close().catch(() => {});
+      }
+    };
+  } catch (error) {
+    console.warn('Volume metering unavailable:', error);
+    return null;
+  }
 }
 
 async function startRecording() {
   try {
+    stopSpeaking();
+    revealQuestion();
+    replayQuestionBtn.disabled = false;
+    if (state.timed) {
+      state.currentTiming = {
+        thinkingSeconds: state.timed.thinkingSeconds,
+        timeToStartSeconds: state.currentTiming ? state.currentTiming.timeToStartSeconds : Math.round((Date.now() - state.questionShownAt) / 1000),
+        answerSeconds: 0,
+        limitSeconds: currentAnswerLimit(),
+        autoStopped: false
+      };
+    }
     const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
     state.audioChunks = [];
+    state.volumeMeter = startVolumeMeter(stream);
     state.mediaRecorder = new MediaRecorder(stream);
-    state.mediaRecorder.ondataavailable = (event) => { if (event.data.size > 0) state.audioChunks.push(event.data); };
+    const liveStream = await openTranscriptionStream(state.mediaRecorder.mimeType);
+    state.transcriptionStream = liveStream;
+    state.mediaRecorder.ondataavailable = (event) => {
+      if (event.data.size === 0) return;
+      state.audioChunks.push(event.data);
+      if (liveStream) queueTranscriptionChunk(liveStream, event.data);
+    };
     state.mediaRecorder.onstop = async () => {
+      if (state.volumeMeter) {
+        state.volumeMeter.stop();
+        state.currentVolumeLevels = state.volumeMeter.levels;
+        state.volumeMeter = null;
+      }
       state.currentAudioBlob = new Blob(state.audioChunks, { type: 'audio/webm' });
       audioPreview.src = URL.createObjectURL(state.currentAudioBlob);
       audioPreview.classList.remove('hidden');
-      await transcribeAudio();
+      await transcribeAudio(liveStream);
       stream.getTracks().forEach((track) => track.stop());
     };
-    state.mediaRecorder.start();
+    state.mediaRecorder.start(TRANSCRIPTION_CHUNK_MS);
     startTimerUI();
     recordBtn.disabled = true;
     stopBtn.disabled = false;
-    transcriptStatus.textContent = 'Recording...';
+    transcriptStatus.textContent = t('record.recording');
   } catch (error) {
     console.error(error);
-    alert('Unable to access microphone. Please allow microphone permissions.');
+    alert(t('record.micDenied'));
   }
 }
 
 function stopRecording() {
   if (state.mediaRecorder && state.mediaRecorder.state === 'recording') {
+    state.currentRecordedSeconds = state.recordingSeconds;
+    if (state.currentTiming) state.currentTiming.answerSeconds = state.recordingSeconds;
     state.mediaRecorder.stop();
     stopTimerUI();
     recordBtn.disabled = false;
     stopBtn.disabled = true;
-    transcriptStatus.textContent = 'Transcribing...';
+    transcriptStatus.textContent = t('record.transcribing');
   }
 }
 
-async function transcribeAudio() {
-  if (!state.currentAudioBlob) return;
+async function uploadRecording() {
   const formData = new FormData();
+  formData.append('language', state.interviewLanguage);
   formData.append('audio', state.currentAudioBlob, 'answer.webm');
+  const response = await fetch('/api/transcribe', { method: 'POST', body: formData });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || t('record.requestFailed'));
+  return data;
+}
+
+async function transcribeAudio(liveStream = null) {
+  if (!state.currentAudioBlob) return;
   try {
-    const response = await fetch('/api/transcribe', { method: 'POST', body: formData });
-    const data = await response.json();
-    if (!response.ok) throw new Error(data.error || 'Transcription request failed.');
-    answerTranscript.value = data.transcript || '';
-    transcriptStatus.textContent = 'Transcription ready. You can edit before continuing.';
-    nextBtn.disabled = answerTranscript.value.trim().length === 0;
+    const transcription = (liveStream && await finishTranscriptionStream(liveStream)) || await uploadRecording();
+    answerTranscript.value = transcription.transcript || '';
+    state.currentWords = transcription.words || [];
+    transcriptStatus.textContent = t('record.ready');
   } catch {
-    transcriptStatus.textContent = 'Transcription failed. You may type your answer manually.';
+    transcriptStatus.textContent = t('record.failed');
+  } finally {
+    if (state.transcriptionStream === liveStream) state.transcriptionStream = null;
     nextBtn.disabled = answerTranscript.value.trim().length === 0;
   }
 }
@@ -476,21 +1740,124 @@ async function maybeInsertFollowUp(questionObj, transcript) {
   }
 }
 
-function getCoachingHints(transcript) {
+function buildDialogue(answers = state.answers) {
+  const topics = [];
+  answers.forEach(({ topicIndex, transition, category, question, transcript, isFollowUp, modelAnswer, rubricNotes, drillOf, ...capture }) => {
+    if (!topics[topicIndex]) topics[topicIndex] = { category, question, transition, modelAnswer, rubricNotes, drillOf, exchanges: [] };
+    topics[topicIndex].exchanges.push({ question, transcript, isProbe: Boolean(isFollowUp), ...capture });
+  });
+  return topics.filter(Boolean);
+}
+
+async function continueConversation(questionObj) {
+  const next = state.questions.slice(state.currentIndex + 1).find((q) => !q.isFollowUp);
+  nextBtn.disabled = true;
+  transcriptStatus.textContent = t('conversation.thinking');
+  try {
+    const response = await fetch('/api/interview-turn', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        resume: state.resumeText,
+        jobDescription: state.jobDescriptionText,
+        profile: state.profile,
+        dialogue: buildDialogue(state.answers.slice(0, state.currentIndex + 1)),
+        topicIndex: questionObj.topicIndex,
+        nextQuestion: next ? next.question : '',
+        language: state.interviewLanguage
+      })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || t('record.requestFailed'));
+    if (data.warning) console.warn(data.warning);
+    if (data.action === 'probe' && data.question) {
+      state.questions.splice(state.currentIndex + 1, 0, {
+        category: questionObj.category,
+        question: data.question,
+        isFollowUp: true,
+        topicIndex: questionObj.topicIndex
+      });
+    } else if (next) {
+      next.transition = data.transition || '';
+    }
+  } catch (error) {
+    console.warn('Conversational turn skipped:', error);
+  } finally {
+    nextBtn.disabled = false;
+  }
+}
+
+async function loadLanguages() {
+  try {
+    const response = await fetch('/api/languages');
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Could not load interview languages.');
+    state.languages = data.languages || [];
+  } catch (error) {
+    console.warn('Interview languages unavailable, keeping the built-in list:', error);
+    return;
+  }
+  const selected = interviewLanguageInput.value || 'English';
+  interviewLanguageInput.innerHTML = state.languages
+    .map(({ language, nativeName }) => `<option value="${escapeHtml(language)}"${language === selected ? ' selected' : ''}>${escapeHtml(nativeName && nativeName !== language ? `${language} — ${nativeName}` : language)}</option>`)
+    .join('');
+  uiLanguageInput.innerHTML = state.languages
+    .map(({ language, nativeName }) => `<option value="${escapeHtml(language)}">${escapeHtml(nativeName || language)}</option>`)
+    .join('');
+}
+
+async function loadLexicon(language) {
+  try {
+    const response = await fetch(`/api/lexicons/${encodeURIComponent(language)}`);
+    if (!response.ok) return null;
+    return await response.json();
+  } catch (error) {
+    console.warn('Lexicon unavailable, using English coaching hints:', error);
+    return null;
+  }
+}
+
+function lexiconRegExp(words, flags = 'iu') {
+  const alternatives = words.map((word) => {
+    const literal = word.replace(/\*$/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return word.endsWith('*') ? `${literal}[\\p{L}\\p{N}-]*` : literal;
+  });
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, flags);
+}
+
+function getCoachingPatterns(lexicon) {
+  if (!lexicon) {
+    return {
+      context: /(situation|when|context|project)/,
+      ownership: /(i|my|me)\s+(led|built|designed|implemented|created|owned|fixed|improved)/,
+      outcome: /(%|reduced|increased|saved|impact|result|outcome|kpi|metric|users)/,
+      filler: /\b(um|uh|like|basically|kind of|sort of)\b/g
+    };
+  }
+  return {
+    context: lexiconRegExp([...lexicon.situation, ...lexicon.task]),
+    ownership: lexiconRegExp(lexicon.ownership),
+    outcome: new RegExp(`%|${lexiconRegExp(lexicon.outcome).source}`, 'iu'),
+    filler: lexiconRegExp(lexicon.filler, 'giu')
+  };
+}
+
+function getCoachingHints(transcript, lexicon = state.lexicon) {
   const text = transcript.toLowerCase();
+  const patterns = getCoachingPatterns(lexicon);
   const hints = [];
-  if (!/(situation|when|context|project)/.test(text)) hints.push('Add context first: what was the situation?');
-  if (!/(i|my|me)\s+(led|built|designed|implemented|created|owned|fixed|improved)/.test(text)) {
-    hints.push('Emphasize your ownership with concrete actions you personally took.');
+  if (!patterns.context.test(text)) hints.push(t('hint.context'));
+  if (!patterns.ownership.test(text)) {
+    hints.push(t('hint.ownership'));
   }
-  if (!/(%|reduced|increased|saved|impact|result|outcome|kpi|metric|users)/.test(text)) {
-    hints.push('Include measurable outcomes (%, time saved, quality gains).');
+  if (!patterns.outcome.test(text)) {
+    hints.push(t('hint.outcome'));
   }
-  if ((text.match(/\b(um|uh|like|basically|kind of|sort of)\b/g) || []).length > 2) {
-    hints.push('Reduce filler words to sound more confident and concise.');
+  if ((text.match(patterns.filler) || []).length > 2) {
+    hints.push(t('hint.filler'));
   }
   if (transcript.trim().split(/\s+/).filter(Boolean).length < 45) {
-    hints.push('Expand your answer using STAR to add depth.');
+    hints.push(t('hint.expand'));
   }
   return hints;
 }
@@ -502,40 +1869,62 @@ function renderCoachingScreen() {
     el.className = 'result-item';
     const hints = getCoachingHints(item.transcript);
     el.innerHTML = `
-      <h4>Q${index + 1} (${item.category})</h4>
-      <p><strong>Question:</strong> ${item.question}</p>
-      <textarea data-coaching-index="${index}" rows="5">${item.transcript}</textarea>
-      <p><strong>Coaching tips before scoring:</strong></p>
-      <ul>${(hints.length ? hints : ['Strong draft answer. Keep it concise and confident.']).map((h) => `<li>${h}</li>`).join('')}</ul>`;
+      <h4>Q${index + 1} (${categoryLabel(item.category)})</h4>
+      <p><strong>${t('result.question')}</strong> ${escapeHtml(item.question)}</p>
+      <textarea data-coaching-index="${index}" rows="5">${escapeHtml(item.transcript)}</textarea>
+      <p><strong>${t('coaching.tips')}</strong></p>
+      <ul>${(hints.length ? hints : [t('hint.strong')]).map((h) => `<li>${h}</li>`).join('')}</ul>`;
     coachingList.appendChild(el);
   });
   showScreen(coachingScreen);
 }
 
+function syncCoachingEdits() {
+  document.querySelectorAll('[data-coaching-index]').forEach((input) => {
+    const i = Number(input.getAttribute('data-coaching-index'));
+    if (state.answers[i]) state.answers[i].transcript = input.value.trim();
+  });
+}
+
 async function saveAnswerAndContinue() {
   const transcript = answerTranscript.value.trim();
-  if (!transcript) return alert('Please record or type an answer before moving on.');
+  if (!transcript) return alert(t('question.answerRequired'));
   const questionObj = state.questions[state.currentIndex];
   state.answers[state.currentIndex] = {
     category: questionObj.category,
     question: questionObj.question,
     transcript,
-    isFollowUp: questionObj.isFollowUp
+    isFollowUp: questionObj.isFollowUp,
+    words: state.currentWords.length ? state.currentWords : undefined,
+    recordedSeconds: state.currentRecordedSeconds || undefined,
+    volumeLevels: state.currentVolumeLevels.length ? state.currentVolumeLevels : undefined,
+    modelAnswer: questionObj.modelAnswer || undefined,
+    rubricNotes: questionObj.rubricNotes || undefined,
+    timing: state.currentTiming ? { ...state.currentTiming } : undefined,
+    topicIndex: state.conversational ? questionObj.topicIndex : undefined,
+    transition: state.conversational ? questionObj.transition : undefined,
+    drillOf: questionObj.drillOf
   };
 
-  if (state.currentIndex < state.questions.length - 1) {
-    await maybeInsertFollowUp(questionObj, transcript);
+  if (!isOverBudget()) {
+    if (state.conversational) await continueConversation(questionObj);
+    else if (state.currentIndex < state.questions.length - 1) await maybeInsertFollowUp(questionObj, transcript);
+  }
+  if (state.currentIndex < state.questions.length - 1 && !isOverBudget()) {
     state.currentIndex += 1;
     renderCurrentQuestion();
   } else {
+    if (state.timed) finishTimedInterview();
+    stopSpeaking();
     renderCoachingScreen();
   }
 }
 
 function retryQuestion() {
   answerTranscript.value = '';
+  clearRecordingCapture();
   nextBtn.disabled = true;
-  transcriptStatus.textContent = 'Retry: record your answer again.';
+  transcriptStatus.textContent = t('question.retryPrompt');
   stopTimerUI();
   recordTimer.textContent = '00:00';
 }
@@ -554,147 +1943,617 @@ function renderCategoryBars(results) {
     const score = Math.round(items.reduce((sum, item) => sum + item.score, 0) / items.length);
     const row = document.createElement('div');
     row.className = 'bar-row';
-    row.innerHTML = `<div class="bar-head"><span>${category}</span><strong>${score}/100</strong></div><div class="bar-track"><div class="bar-fill" style="width:${score}%"></div></div>`;
+    row.innerHTML = `<div class="bar-head"><span>${categoryLabel(category)}</span><strong>${score}/100</strong></div><div class="bar-track"><div class="bar-fill" style="width:${score}%"></div></div>`;
     categoryBars.appendChild(row);
   });
 }
 
 function renderDistribution(results) {
   const buckets = {
-    'Strong (75-100)': results.filter((result) => result.score >= 75).length,
-    'Developing (50-74)': results.filter((result) => result.score >= 50 && result.score < 75).length,
-    'Needs Work (<50)': results.filter((result) => result.score < 50).length
+    [t('distribution.strong')]: results.filter((result) => result.score >= 75).length,
+    [t('distribution.developing')]: results.filter((result) => result.score >= 50 && result.score < 75).length,
+    [t('distribution.needsWork')]: results.filter((result) => result.score < 50).length
   };
   distribution.innerHTML = Object.entries(buckets)
-    .map(([label, count]) => `<span class="dist-chip">${label}: ${count}</span>`)
+    .map(([label, count]) => `<span class="dist-chip">${escapeHtml(label)}: ${count}</span>`)
     .join('');
 }
 
-function renderRubricBreakdown(breakdown = {}) {
-  const rows = Object.entries(breakdown).map(([key, value]) => `<li><strong>${key}</strong>: ${value}</li>`).join('');
-  return rows ? `<ul class="rubric-list">${rows}</ul>` : '<p class="meta">Rubric details unavailable.</p>';
+function renderRubricBreakdown(breakdown = {}, rubric = null) {
+  const rows = rubric
+    ? rubric.criteria.map((criterion) => `
+      <li>
+        <div class="bar-head"><strong>${escapeHtml(criterion.label)}</strong><span>${breakdown[criterion.key] ?? 0}/${criterion.weight}</span></div>
+        <div class="bar-track"><div class="bar-fill" style="width:${Math.round(((breakdown[criterion.key] ?? 0) / criterion.weight) * 100)}%"></div></div>
+      </li>`).join('')
+    : Object.entries(breakdown).map(([key, value]) => `<li><strong>${escapeHtml(key)}</strong>: ${escapeHtml(value)}</li>`).join('');
+  if (!rows) return `<p class="meta">${t('rubric.unavailable')}</p>`;
+  return `${rubric ? `<p class="meta">${escapeHtml(t('rubric.name', { name: rubric.name }))}</p>` : ''}<ul class="rubric-list${rubric ? ' rubric-bars' : ''}">${rows}</ul>`;
+}
+
+function renderFillerTimeline(timeline = []) {
+  if (!timeline.length) return '';
+  const peak = Math.max(1, ...timeline.map((window) => window.perMinute));
+  const bars = timeline.map((window) => `
+    <div class="mini-bar" title="${escapeHtml(t('delivery.window', { from: window.from, to: window.to, count: window.count }))}" style="height:${Math.max(6, Math.round((window.perMinute / peak) * 100))}%"></div>`).join('');
+  return `<p class="meta">${t('delivery.fillerTimeline')}</p><div class="mini-chart delivery-timeline">${bars}</div>`;
+}
+
+function renderDeliveryBreakdown(delivery) {
+  if (!delivery) return `<p class="meta">${t('delivery.unavailable')}</p>`;
+  const { fillers, pauses, volume } = delivery;
+  const rows = [
+    delivery.wordsPerMinute !== null && [t('delivery.pace'), `${t('delivery.wpm', { wpm: delivery.wordsPerMinute })} · ${t(`delivery.${delivery.pace}`)}`],
+    delivery.talkSeconds !== null && delivery.recordedSeconds && [
+      t('delivery.talkTime'),
+      t('delivery.talkOfRecorded', { talk: toTimer(Math.round(delivery.talkSeconds)), recorded: toTimer(delivery.recordedSeconds) })
+    ],
+    pauses && [t('delivery.pauses'), pauses.count ? t('delivery.pauseCount', { count: pauses.count, seconds: pauses.longestSeconds }) : '0'],
+    [t('delivery.fillers'), fillers.perMinute === null ? String(fillers.count) : t('delivery.fillerRate', { count: fillers.count, perMinute: fillers.perMinute })],
+    volume && [t('delivery.volume'), `${volume.consistency}/100`]
+  ].filter(Boolean);
+  return `<ul class="delivery-stats">${rows.map(([label, value]) => `<li><span>${label}</span><strong>${value}</strong></li>`).join('')}</ul>${renderFillerTimeline(fillers.timeline)}`;
 }
 
 function highlightTranscript(transcript, highlights = {}) {
-  let highlighted = transcript;
-  (highlights.strongPatterns || []).forEach((pattern) => {
-    const safe = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    highlighted = highlighted.replace(new RegExp(safe, 'gi'), (m) => `<mark class="hl-strong">${m}</mark>`);
-  });
-  (highlights.weakPatterns || []).forEach((pattern) => {
-    const safe = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    highlighted = highlighted.replace(new RegExp(safe, 'gi'), (m) => `<mark class="hl-weak">${m}</mark>`);
+  const escaped = escapeHtml(transcript);
+  const classes = new Map();
+  [['hl-weak', highlights.weakPatterns], ['hl-strong', highlights.strongPatterns]].forEach(([className, patterns]) => {
+    (patterns || []).map((pattern) => escapeHtml(pattern).toLowerCase()).filter(Boolean).forEach((pattern) => classes.set(pattern, className));
   });
-  return highlighted;
+  if (!classes.size) return escaped;
+  const alternatives = [...classes.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map((pattern) => pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return escaped.replace(new RegExp(alternatives.join('|'), 'gi'), (m) => `<mark class="${classes.get(m.toLowerCase()) || 'hl-weak'}">${m}</mark>`);
+}
+
+async function loadSessions() {
+  if (!state.currentUser) return;
+  try {
+    const response = await fetch('/api/sessions');
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || t('history.loadFailed'));
+    state.sessions = data.sessions || [];
+  } catch (error) {
+    console.error(error);
+    state.sessions = [];
+  }
+  renderSessionHistory();
+  renderProgressHistory();
+  renderSetupHistory();
+  loadPracticePlan();
+  loadAnalytics();
+}
+
+async function persistSession(analysis) {
+  try {
+    const response = await fetch('/api/sessions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        analysis,
+        resume: state.resumeText,
+        jobDescription: state.jobDescriptionText,
+        profile: state.profile,
+        language: state.interviewLanguage,
+        applicationId: state.applicationId
+      })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || t('history.saveFailed'));
+    state.sessions = [data.session, ...state.sessions];
+    loadPracticePlan();
+    loadAnalytics();
+    if (data.session.applicationId) loadApplications();
+    return data.session;
+  } catch (error) {
+    console.error(error);
+    return null;
+  }
+}
+
+async function openSession(id) {
+  try {
+    const response = await fetch(`/api/sessions/${encodeURIComponent(id)}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || t('history.openFailed'));
+    const { session } = data;
+    state.resumeText = session.resume;
+    state.jobDescriptionText = session.jobDescription;
+    state.profile = session.profile || null;
+    state.applicationId = session.applicationId || null;
+    state.interviewLanguage = session.language;
+    state.lastAnalysis = { ...session.analysis, sessionId: session.id };
+    renderResults(state.lastAnalysis);
+  } catch (error) {
+    console.error(error);
+    alert(error.message);
+  }
+}
+
+async function deleteSession(id) {
+  if (!confirm(t('history.confirmDelete'))) return;
+  try {
+    const response = await fetch(`/api/sessions/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || t('history.deleteFailed'));
+    state.sessions = state.sessions.filter((s) => s.id !== id);
+    renderSessionHistory();
+    renderProgressHistory();
+    renderSetupHistory();
+    loadPracticePlan();
+    loadAnalytics();
+  } catch (error) {
+    console.error(error);
+    alert(error.message);
+  }
+}
+
+function renderSessionList(sessions) {
+  return `<ul>${sessions.map((s) => `
+    <li>${new Date(s.at).toLocaleString(state.uiLocale)} — <strong>${s.overallScore}/100</strong> (${t('history.details', { count: s.questions, language: s.language })})
+      <button class="btn-secondary btn-small" data-open-session="${s.id}">${t('history.open')}</button>
+      <button class="btn-secondary btn-small" data-delete-session="${s.id}">${t('history.delete')}</button>
+    </li>`).join('')}</ul>`;
 }
 
-function persistSession(totalScore, resultsCount) {
-  updateCurrentUser((user) => ({
-    ...user,
-    sessions: [{ at: new Date().toISOString(), overallScore: totalScore, questions: resultsCount }, ...(user.sessions || [])].slice(0, 40)
-  }));
+function handleSessionListClick(event) {
+  const openId = event.target.getAttribute('data-open-session');
+  const deleteId = event.target.getAttribute('data-delete-session');
+  if (openId) openSession(openId);
+  if (deleteId) deleteSession(deleteId);
 }
 
 function renderSessionHistory() {
-  const sessions = state.currentUser?.sessions || [];
+  const sessions = sessionsForApplication(state.applicationId);
   if (!sessions.length) {
-    sessionHistory.innerHTML = '<p class="meta">No sessions yet. Complete an interview to see your history.</p>';
+    sessionHistory.innerHTML = `<p class="meta">${t('history.empty')}</p>`;
     return;
   }
-  sessionHistory.innerHTML = `<ul>${sessions.slice(0, 8).map((s) => `<li>${new Date(s.at).toLocaleString()} — <strong>${s.overallScore}/100</strong> (${s.questions} questions)</li>`).join('')}</ul>`;
+  sessionHistory.innerHTML = renderSessionList(sessions.slice(0, 8));
 }
 
 function renderProgressHistory() {
-  const sessions = state.currentUser?.sessions || [];
+  const sessions = sessionsForApplication(state.applicationId);
   if (!sessions.length) {
-    progressHistory.innerHTML = '<p class="meta">No previous sessions yet.</p>';
+    progressHistory.innerHTML = `<p class="meta">${t('history.noPrevious')}</p>`;
     return;
   }
+  progressHistory.innerHTML = renderScoreTrend(sessions);
+}
+
+function renderScoreTrend(sessions) {
   const recent = sessions.slice(0, 10).reverse();
   const bars = recent.map((s) => `<span class="mini-bar" style="height:${Math.max(8, s.overallScore)}px" title="${s.overallScore}"></span>`).join('');
-  progressHistory.innerHTML = `<div class="mini-chart">${bars}</div><p class="meta">Latest score: ${sessions[0].overallScore}/100</p>`;
+  return `<div class="mini-chart">${bars}</div><p class="meta">${t('history.latest', { score: sessions[0].overallScore })}</p>`;
 }
 
 
 function renderSetupHistory() {
-  const sessions = state.currentUser?.sessions || [];
+  const sessions = sessionsForApplication(applicationSelect.value);
   if (!setupSessionHistory || !setupProgressHistory) return;
 
+  setupDrillBtn.classList.toggle('hidden', !state.sessions.length);
   if (!sessions.length) {
-    setupSessionHistory.innerHTML = '<p class="meta">No sessions yet. Complete an interview to see your history.</p>';
-    setupProgressHistory.innerHTML = '<p class="meta">No score trend yet.</p>';
+    setupSessionHistory.innerHTML = `<p class="meta">${t('history.empty')}</p>`;
+    setupProgressHistory.innerHTML = `<p class="meta">${t('history.noTrend')}</p>`;
     return;
   }
 
-  setupSessionHistory.innerHTML = `<ul>${sessions.slice(0, 6).map((s) => `<li>${new Date(s.at).toLocaleString()} — <strong>${s.overallScore}/100</strong> (${s.questions} questions)</li>`).join('')}</ul>`;
-  const recent = sessions.slice(0, 10).reverse();
-  const bars = recent.map((s) => `<span class="mini-bar" style="height:${Math.max(8, s.overallScore)}px" title="${s.overallScore}"></span>`).join('');
-  setupProgressHistory.innerHTML = `<div class="mini-chart">${bars}</div><p class="meta">Latest score: ${sessions[0].overallScore}/100</p>`;
+  setupSessionHistory.innerHTML = renderSessionList(sessions.slice(0, 6));
+  setupProgressHistory.innerHTML = renderScoreTrend(sessions);
+}
+
+async function loadAnalytics() {
+  if (!state.currentUser) return;
+  try {
+    const params = new URLSearchParams({ timezoneOffset: new Date().getTimezoneOffset() });
+    if (applicationSelect.value) params.set('applicationId', applicationSelect.value);
+    const response = await fetch(`/api/analytics?${params}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || t('analytics.loadFailed'));
+    state.analytics = data.analytics;
+  } catch (error) {
+    console.error(error);
+    state.analytics = null;
+  }
+  renderAnalytics();
+}
+
+function renderSparkline(values, max = 100) {
+  const peak = Math.max(max, ...values) || 1;
+  return `<span class="sparkline">${values.map((value) => `<span class="mini-bar" style="height:${Math.max(8, Math.round((value / peak) * 100))}%" title="${value}"></span>`).join('')}</span>`;
+}
+
+function renderTrendRows(trends, label) {
+  return `<ul class="trend-list">${trends.map((trend) => `
+    <li class="trend-spark"><span>${escapeHtml(label(trend))}</span>${renderSparkline(trend.points.map((point) => point.score))}
+      <strong>${t('analytics.latest', { score: trend.latest, delta: formatDelta(trend.change) })}</strong></li>`).join('')}</ul>`;
+}
+
+function renderAnalytics() {
+  const analytics = state.analytics;
+  if (!analytics) {
+    analyticsPanel.innerHTML = `<p class="meta">${t('analytics.empty')}</p>`;
+    return;
+  }
+  const { streak, highlights } = analytics;
+  const fillers = highlights.map((item) => item.fillersPer100Words);
+  const metrics = highlights.map((item) => item.metricsPerAnswer);
+  const latestHighlights = highlights[highlights.length - 1];
+  const jobs = analytics.jobComparisons.length
+    ? `<ul class="trend-list">${analytics.jobComparisons.map((job) => `
+      <li><span>${escapeHtml(job.title || t('analytics.untitledJob'))}</span>
+        <strong>${t('analytics.jobChange', { sessions: job.sessions, before: job.before.overallScore, after: job.after.overallScore, delta: formatDelta(job.delta) })}</strong></li>
+      ${job.categories.map((row) => `<li class="trend-sub"><span>${escapeHtml(categoryLabel(row.category))}</span><strong>${t('drill.change', { previous: row.before, current: row.after, delta: formatDelta(row.delta) })}</strong></li>`).join('')}`).join('')}</ul>`
+    : `<p class="meta">${t('analytics.noJobs')}</p>`;
+
+  analyticsPanel.innerHTML = `
+    <ul class="delivery-stats">
+      <li><span>${t('analytics.sessions')}</span><strong>${analytics.sessionCount}</strong></li>
+      <li><span>${t('analytics.overall')}</span><strong>${t('analytics.latest', { score: analytics.overall.latest, delta: formatDelta(analytics.overall.change) })}</strong></li>
+      <li><span>${t('analytics.streak')}</span><strong>${t('analytics.streakDays', { current: streak.current, longest: streak.longest })}</strong></li>
+      <li><span>${t('analytics.activeDays')}</span><strong>${streak.activeDays}</strong></li>
+    </ul>
+    <div class="viz-grid">
+      <div>
+        <h5>${t('analytics.categories')}</h5>
+        ${renderTrendRows(analytics.categories, (trend) => categoryLabel(trend.category))}
+        <h5>${t('analytics.delivery')}</h5>
+        <ul class="trend-list">
+          <li class="trend-spark"><span>${t('analytics.fillers')}</span>${renderSparkline(fillers, 1)}<strong>${latestHighlights.fillersPer100Words}</strong></li>
+          <li class="trend-spark"><span>${t('analytics.metrics')}</span>${renderSparkline(metrics, 1)}<strong>${latestHighlights.metricsPerAnswer}</strong></li>
+        </ul>
+        <h5>${t('analytics.languages')}</h5>
+        <ul class="delivery-stats">${analytics.languages.map((row) => `
+          <li><span>${escapeHtml(row.language)}</span><strong>${t('analytics.languageRow', { sessions: row.sessions, average: row.averageScore, best: row.bestScore })}</strong></li>`).join('')}</ul>
+      </div>
+      <div>
+        <h5>${t('analytics.criteria')}</h5>
+        ${renderTrendRows(analytics.criteria, (trend) => trend.label)}
+        <h5>${t('analytics.jobs')}</h5>
+        ${jobs}
+      </div>
+    </div>`;
+}
+
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary >= 0) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      let event = 'message';
+      const dataLines = [];
+      block.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+      });
+      if (dataLines.length) onEvent(event, JSON.parse(dataLines.join('\n')));
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
 }
 
 async function analyzeInterview() {
   showScreen(loadingScreen);
+  state.lastAnalysis = null;
   try {
-    const response = await fetch('/api/analyze-interview', {
+    const response = await fetch('/api/analyze-interview/stream', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         resume: state.resumeText,
         jobDescription: state.jobDescriptionText,
-        qaPairs: state.answers,
+        profile: state.profile,
+        ...(state.conversational ? { dialogue: buildDialogue() } : { qaPairs: state.answers }),
+        interviewTiming: state.timed
+          ? { budgetSeconds: state.timed.budgetSeconds, elapsedSeconds: interviewElapsedSeconds(), skippedQuestions: state.timed.skippedQuestions }
+          : undefined,
+        drillBaseline: state.drill?.baseline,
         language: state.interviewLanguage
       })
     });
 
-    const data = await response.json();
-    if (!response.ok) throw new Error(data.error || 'Failed to analyze interview.');
-    state.lastAnalysis = data;
-    renderResults(data);
+    if (!response.ok || !response.body) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || t('analysis.failed'));
+    }
+
+    const items = state.conversational ? buildDialogue() : state.answers;
+    const partialResults = [];
+    let finalData = null;
+    let streamError = null;
+    await readEventStream(response, (event, payload) => {
+      if (event === 'start') renderPendingResults(items);
+      if (event === 'result') {
+        partialResults[payload.index] = payload.result;
+        fillResultCard(payload.index, payload.result);
+        renderCategoryBars(partialResults.filter(Boolean));
+        renderDistribution(partialResults.filter(Boolean));
+        analysisProgress.textContent = t('analysis.progress', { done: partialResults.filter(Boolean).length, total: items.length });
+      }
+      if (event === 'done') finalData = payload;
+      if (event === 'error') streamError = payload.error;
+    });
+
+    if (streamError || !finalData) throw new Error(streamError || t('analysis.ended'));
+    if (finalData.warning) console.warn(finalData.warning);
+    const saved = await persistSession(finalData);
+    state.lastAnalysis = { ...finalData, sessionId: saved?.id || null };
+    renderResults(state.lastAnalysis);
   } catch (error) {
     console.error(error);
-    alert(error.message || 'Interview analysis failed. Please try again.');
+    alert(error.message || t('analysis.retry'));
     showScreen(coachingScreen);
   }
 }
 
+function diffWords(before, after) {
+  const a = before.split(/\s+/).filter(Boolean);
+  const b = after.split(/\s+/).filter(Boolean);
+  const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: 'same', text: a[i] });
+      i += 1;
+      j += 1;
+    } else if (j < b.length && (i === a.length || table[i][j + 1] >= table[i + 1][j])) {
+      ops.push({ type: 'added', text: b[j] });
+      j += 1;
+    } else {
+      ops.push({ type: 'removed', text: a[i] });
+      i += 1;
+    }
+  }
+  return ops;
+}
+
+function renderDiffSide(ops, side) {
+  const hidden = side === 'original' ? 'added' : 'removed';
+  const tag = side === 'original' ? 'del' : 'ins';
+  return ops
+    .filter((op) => op.type !== hidden)
+    .map((op) => (op.type === 'same' ? escapeHtml(op.text) : `<${tag}>${escapeHtml(op.text)}</${tag}>`))
+    .join(' ');
+}
+
+function renderAnswerRewrite(result) {
+  const rewrite = result.answerRewrite;
+  if (!rewrite) return '';
+  const ops = diffWords(result.transcript || '', rewrite.rewrite);
+  return `
+    <div class="rewrite-panel">
+      <div class="rewrite-grid">
+        <div class="rewrite-column"><h5>${t('rewrite.original')}</h5><p class="rewrite-text">${renderDiffSide(ops, 'original')}</p></div>
+        <div class="rewrite-column">
+          <h5>${t('rewrite.improved')}</h5><p class="rewrite-text">${renderDiffSide(ops, 'improved')}</p>
+          ${rewrite.inventedDetails.length ? `<p class="rewrite-warning">${t('rewrite.invented')} ${rewrite.inventedDetails.map(escapeHtml).join(', ')}</p>` : ''}
+          ${rewrite.source === 'fallback' ? `<p class="meta">${t('rewrite.tidyOnly')}</p>` : ''}
+        </div>
+      </div>
+      <h5>${t('rewrite.reference')}</h5>
+      ${rewrite.referenceAnswer
+        ? `<p class="rewrite-text">${escapeHtml(rewrite.referenceAnswer)}</p><p class="meta">${t('rewrite.referenceNote')}</p>`
+        : `<p class="meta">${t('rewrite.referenceUnavailable')}</p>`}
+    </div>`;
+}
+
+async function requestAnswerRewrite(index, button) {
+  const result = state.lastAnalysis?.results?.[index];
+  if (!result) return;
+  button.disabled = true;
+  button.textContent = t('result.rewriting');
+  try {
+    const response = await fetch('/api/answer-rewrite', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        resume: state.resumeText,
+        jobDescription: state.jobDescriptionText,
+        profile: state.profile,
+        category: result.category,
+        question: result.question,
+        transcript: result.transcript,
+        modelAnswer: result.modelAnswer,
+        language: state.interviewLanguage
+      })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || t('rewrite.failed'));
+    if (data.warning) console.warn(data.warning);
+    result.answerRewrite = data;
+    fillResultCard(index, result);
+  } catch (error) {
+    console.error(error);
+    alert(error.message || t('rewrite.failed'));
+    button.disabled = false;
+    button.textContent = t('result.rewrite');
+  }
+}
+
+function handleResultsClick(event) {
+  const button = event.target.closest('[data-rewrite-index]');
+  if (button) requestAnswerRewrite(Number(button.dataset.rewriteIndex), button);
+}
+
+function renderDialogueThread(result) {
+  const turns = result.exchanges.map((exchange) => `
+    <li><p class="meta">${exchange.isProbe ? `${t('question.followUp')}: ` : ''}${escapeHtml(exchange.question)}</p>
+    <span class="transcript-html">${highlightTranscript(exchange.transcript, result.highlights || {})}</span></li>`);
+  return `<p><strong>${t('result.conversation')}</strong></p><ol class="dialogue-thread">${turns.join('')}</ol>`;
+}
+
+function formatDelta(delta) {
+  return `${delta > 0 ? '+' : ''}${delta}`;
+}
+
+function renderDrillProgress(progress) {
+  const rows = progress
+    ? [...progress.categories.map((row) => ({ ...row, label: categoryLabel(row.skill) })), ...progress.criteria]
+    : [];
+  if (!rows.length) return '';
+  return `<h4>${t('results.drillProgress')}</h4><ul class="delivery-stats">${rows.map((row) => `
+    <li><span>${escapeHtml(row.label)}</span><strong>${t('drill.change', { previous: row.previous, current: row.current, delta: formatDelta(row.delta) })}</strong></li>`).join('')}</ul>`;
+}
+
+function renderResultCard(result, index) {
+  const item = document.createElement('article');
+  item.className = 'result-item';
+  item.setAttribute('data-result-index', index);
+  item.innerHTML = `
+    <h4>Q${index + 1} (${categoryLabel(result.category)}) <span class="score-badge ${scoreBadgeClass(result.score)}">${result.score}/100</span></h4>
+    ${result.previousAttempt ? `<p class="meta">${t('result.previousAttempt', { previous: result.previousAttempt.score, score: result.score, delta: formatDelta(result.previousAttempt.delta) })}</p>` : ''}
+    <p><strong>${t('result.question')}</strong> ${escapeHtml(result.question)}</p>
+    ${result.exchanges ? renderDialogueThread(result) : `<p><strong>${t('result.transcript')}</strong> <span class="transcript-html">${highlightTranscript(result.transcript || '', result.highlights || {})}</span></p>`}
+    <p><strong>${t('result.feedback')}</strong> ${escapeHtml(result.feedback)}</p>
+    ${result.modelAnswer ? `<p><strong>${t('result.modelAnswer')}</strong> ${escapeHtml(result.modelAnswer)}</p>` : ''}
+    <p><strong>${t('result.explanation')}</strong> ${escapeHtml(result.scoreExplanation || t('result.explanationUnavailable'))}</p>
+    ${result.timing ? `<p><strong>${t('result.timing')}</strong> ${escapeHtml(describeTiming(result.timing))}</p>` : ''}
+    <div class="result-analysis">
+      <div><p><strong>${t('result.rubric')}</strong></p>${renderRubricBreakdown(result.rubricBreakdown, result.rubric)}</div>
+      <div><p><strong>${t('result.delivery')}</strong></p>${renderDeliveryBreakdown(result.delivery)}</div>
+    </div>
+    <p><strong>${t('result.tips')}</strong></p><ul>${(result.improvementTips || []).map((tip) => `<li>${escapeHtml(tip)}</li>`).join('')}</ul>
+    ${result.answerRewrite ? renderAnswerRewrite(result) : `<button class="btn-secondary" data-rewrite-index="${index}">${t('result.rewrite')}</button>`}`;
+  return item;
+}
+
+function renderPendingResults(answers) {
+  overallScore.textContent = '--';
+  overallFeedback.textContent = t('analysis.scoring');
+  nextStepPlan.textContent = '';
+  timeManagementSummary.textContent = '';
+  drillProgress.innerHTML = '';
+  scoreRing.style.background = 'conic-gradient(var(--primary) 0deg, #e7ebff 0deg)';
+  categoryBars.innerHTML = '';
+  distribution.innerHTML = '';
+  exportReportBtn.disabled = true;
+  analysisProgress.textContent = t('analysis.progress', { done: 0, total: answers.length });
+
+  detailedResults.innerHTML = '';
+  answers.forEach((answer, index) => {
+    const item = document.createElement('article');
+    item.className = 'result-item result-pending';
+    item.setAttribute('data-result-index', index);
+    item.innerHTML = `
+      <h4>Q${index + 1} (${categoryLabel(answer.category)}) <span class="score-badge badge-pending">${t('analysis.evaluating')}</span></h4>
+      <p><strong>${t('result.question')}</strong> ${escapeHtml(answer.question)}</p>`;
+    detailedResults.appendChild(item);
+  });
+  showScreen(resultsScreen);
+}
+
+function fillResultCard(index, result) {
+  const placeholder = detailedResults.querySelector(`[data-result-index="${index}"]`);
+  const card = renderResultCard(result, index);
+  if (placeholder) placeholder.replaceWith(card);
+  else detailedResults.appendChild(card);
+}
+
 function renderResults(data) {
   const totalScore = Number(data.overallScore) || 0;
   overallScore.textContent = `${totalScore}/100`;
   overallFeedback.textContent = data.overallFeedback;
   nextStepPlan.textContent = data.nextStepPlan || '';
+  timeManagementSummary.textContent = data.timeManagement ? describeTimeManagement(data.timeManagement) : '';
+  drillProgress.innerHTML = renderDrillProgress(data.drillProgress);
+  const application = state.applications.find((item) => item.id === state.applicationId);
+  resultsApplication.textContent = application ? t('results.application', { name: applicationLabel(application) }) : '';
+  resultsApplication.classList.toggle('hidden', !application);
   const ringDeg = Math.round((Math.max(0, Math.min(100, totalScore)) / 100) * 360);
   scoreRing.style.background = `conic-gradient(var(--primary) ${ringDeg}deg, #e7ebff ${ringDeg}deg)`;
+  exportReportBtn.disabled = false;
+  analysisProgress.textContent = '';
 
   const results = data.results || [];
   renderCategoryBars(results);
   renderDistribution(results);
-  persistSession(totalScore, results.length);
-  hydrateProfileInputs();
+  renderSessionHistory();
+  renderProgressHistory();
 
   detailedResults.innerHTML = '';
   results.forEach((result, index) => {
-    const item = document.createElement('article');
-    item.className = 'result-item';
-    item.innerHTML = `
-      <h4>Q${index + 1} (${result.category}) <span class="score-badge ${scoreBadgeClass(result.score)}">${result.score}/100</span></h4>
-      <p><strong>Question:</strong> ${result.question}</p>
-      <p><strong>Transcript:</strong> <span class="transcript-html">${highlightTranscript(result.transcript || '', result.highlights || {})}</span></p>
-      <p><strong>Feedback:</strong> ${result.feedback}</p>
-      <p><strong>Score Explanation:</strong> ${result.scoreExplanation || 'Detailed explanation unavailable.'}</p>
-      <p><strong>Rubric Breakdown:</strong></p>${renderRubricBreakdown(result.rubricBreakdown)}
-      <p><strong>Improvement Tips:</strong></p><ul>${(result.improvementTips || []).map((tip) => `<li>${tip}</li>`).join('')}</ul>`;
-    detailedResults.appendChild(item);
+    detailedResults.appendChild(renderResultCard(result, index));
   });
 
   showScreen(resultsScreen);
 }
 
-function exportReportAsPdf() {
-  if (!state.lastAnalysis) return alert('No analysis available yet.');
+const PDF_STANDARD_FONT_TEXT = /^[\u0000-\u00ff\u0152\u0153\u0160\u0161\u0178\u017d\u017e\u0192\u02c6\u02dc\u2013\u2014\u2018\u2019\u201a\u201c\u201d\u201e\u2020\u2021\u2022\u2026\u2030\u2039\u203a\u20ac\u2122]*$/;
+const PDF_UNICODE_FONT = { file: 'DejaVuSans.ttf', name: 'DejaVuSans', url: '/fonts/DejaVuSans.ttf' };
+let pdfUnicodeFontData = null;
+
+function loadPdfUnicodeFont() {
+  pdfUnicodeFontData ||= fetch(PDF_UNICODE_FONT.url)
+    .then((response) => {
+      if (!response.ok) throw new Error(`Font request failed with ${response.status}.`);
+      return response.arrayBuffer();
+    })
+    .then((buffer) => {
+      const bytes = new Uint8Array(buffer);
+      let binary = '';
+      for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+      return btoa(binary);
+    });
+  pdfUnicodeFontData.catch(() => { pdfUnicodeFontData = null; });
+  return pdfUnicodeFontData;
+}
+
+async function exportReportAsPdf() {
+  if (!state.lastAnalysis) return alert(t('pdf.noAnalysis'));
   const jsPdf = window.jspdf?.jsPDF;
-  if (!jsPdf) return alert('PDF export library failed to load. Please refresh and try again.');
+  if (!jsPdf) return alert(t('pdf.libraryFailed'));
+
+  const analysis = state.lastAnalysis;
+  const title = t('pdf.title');
+  const sections = [
+    [
+      t('pdf.user', { name: state.currentUser?.name || t('pdf.notAvailable'), email: state.currentUser?.email || '' }),
+      t('pdf.overallScore', { score: analysis.overallScore }),
+      t('pdf.overallFeedback', { feedback: analysis.overallFeedback }),
+      analysis.nextStepPlan && t('pdf.nextStep', { plan: analysis.nextStepPlan }),
+      analysis.timeManagement && describeTimeManagement(analysis.timeManagement)
+    ],
+    ...(analysis.results || []).map((row, idx) => [
+      t('pdf.questionHeader', { number: idx + 1, category: categoryLabel(row.category), score: row.score }),
+      t('pdf.question', { text: row.question }),
+      t('pdf.transcript', { text: row.transcript }),
+      t('pdf.feedback', { text: row.feedback }),
+      row.delivery?.wordsPerMinute && t('pdf.delivery', { wpm: row.delivery.wordsPerMinute, pauses: row.delivery.pauses?.count ?? 0, fillers: row.delivery.fillers.count }),
+      row.answerRewrite && t('pdf.rewrite', { text: row.answerRewrite.rewrite }),
+      row.timing && t('pdf.timing', { text: describeTiming(row.timing) }),
+      t('pdf.tips', { tips: (row.improvementTips || []).join(' | ') })
+    ])
+  ].map((lines) => lines.filter(Boolean));
 
   const doc = new jsPdf();
+  if (![title, ...sections.flat()].every((text) => PDF_STANDARD_FONT_TEXT.test(text))) {
+    try {
+      doc.addFileToVFS(PDF_UNICODE_FONT.file, await loadPdfUnicodeFont());
+      doc.addFont(PDF_UNICODE_FONT.file, PDF_UNICODE_FONT.name, 'normal');
+      doc.setFont(PDF_UNICODE_FONT.name, 'normal');
+    } catch (error) {
+      console.error('PDF font unavailable:', error);
+      return alert(t('pdf.fontFailed'));
+    }
+  }
+
   let y = 16;
   const margin = 12;
   const maxWidth = 185;
@@ -706,33 +2565,35 @@ function exportReportAsPdf() {
   };
 
   doc.setFontSize(16);
-  doc.text('PrepGPT Interview Report', margin, y);
+  doc.text(title, margin, y);
   y += 10;
   doc.setFontSize(11);
-  addWrapped(`User: ${state.currentUser?.name || 'N/A'} (${state.currentUser?.email || ''})`);
-  addWrapped(`Overall Score: ${state.lastAnalysis.overallScore}/100`);
-  addWrapped(`Overall Feedback: ${state.lastAnalysis.overallFeedback}`);
-  if (state.lastAnalysis.nextStepPlan) addWrapped(`Next-step plan: ${state.lastAnalysis.nextStepPlan}`);
-  (state.lastAnalysis.results || []).forEach((row, idx) => {
-    addWrapped(`Q${idx + 1} (${row.category}) — Score: ${row.score}/100`);
-    addWrapped(`Question: ${row.question}`);
-    addWrapped(`Transcript: ${row.transcript}`);
-    addWrapped(`Feedback: ${row.feedback}`);
-    addWrapped(`Tips: ${(row.improvementTips || []).join(' | ')}`);
-    y += 2;
+  sections.forEach((lines, idx) => {
+    lines.forEach((line) => addWrapped(line));
+    if (idx > 0) y += 2;
   });
 
   doc.save(`prepgpt-report-${new Date().toISOString().slice(0, 10)}.pdf`);
 }
 
 function restartFlow() {
+  stopSpeaking();
+  clearQuestionAudio();
+  stopTimedTicker();
+  state.timed = null;
+  state.currentTiming = null;
+  state.drill = null;
+  state.applicationId = null;
+  timedStatus.classList.add('hidden');
   state.questions = [];
   state.answers = [];
   state.currentIndex = 0;
   state.resumeText = '';
   state.jobDescriptionText = '';
+  state.profile = null;
   state.lastAnalysis = null;
   answerTranscript.value = '';
+  if (state.selectedApplication) fillFromApplication(state.selectedApplication);
   stopTimerUI();
   showScreen(setupScreen);
 }
@@ -744,14 +2605,46 @@ signupBtn.addEventListener('click', handleSignup);
 logoutBtn.addEventListener('click', logout);
 if (saveProfileBtn) saveProfileBtn.addEventListener('click', saveProfile);
 if (setupSaveProfileBtn) setupSaveProfileBtn.addEventListener('click', saveProfile);
-
+sessionHistory.addEventListener('click', handleSessionListClick);
+if (setupSessionHistory) setupSessionHistory.addEventListener('click', handleSessionListClick);
+
+resumeFileInput.addEventListener('change', () => handleDocumentUpload(resumeFileInput, resumeTextarea, resumeFileStatus));
+jdFileInput.addEventListener('change', () => handleDocumentUpload(jdFileInput, jdTextarea, jdFileStatus));
+parseProfileBtn.addEventListener('click', parseProfile);
+gapAnalysisBtn.addEventListener('click', runGapAnalysis);
+applicationSelect.addEventListener('change', selectApplication);
+applicationEditor.addEventListener('click', handleApplicationEditorClick);
+newApplicationBtn.addEventListener('click', newApplication);
+editApplicationBtn.addEventListener('click', editApplication);
+deleteApplicationBtn.addEventListener('click', deleteApplication);
+questionSetSelect.addEventListener('change', updateQuestionSetButtons);
+questionSetImport.addEventListener('change', importQuestionSet);
+questionSetEditor.addEventListener('click', handleQuestionSetEditorClick);
+newQuestionSetBtn.addEventListener('click', () => renderQuestionSetEditor({ name: '', description: '', shared: false, questions: [{ category: categories[0], question: '' }] }));
+editQuestionSetBtn.addEventListener('click', editQuestionSet);
+deleteQuestionSetBtn.addEventListener('click', deleteQuestionSet);
+exportQuestionSetJsonBtn.addEventListener('click', () => exportQuestionSet('json'));
+exportQuestionSetCsvBtn.addEventListener('click', () => exportQuestionSet('csv'));
+profileEditor.addEventListener('click', handleProfileEditorClick);
 prepareBtn.addEventListener('click', prepareInterview);
 startSimulationBtn.addEventListener('click', () => {
+  if (state.timed) state.timed.startedAt = Date.now();
   showScreen(questionScreen);
   renderCurrentQuestion();
 });
 restartBtn.addEventListener('click', restartFlow);
+replayQuestionBtn.addEventListener('click', () => speakQuestion(state.questions[state.currentIndex]));
+conversationalModeInput.addEventListener('change', () => { dynamicFollowUpsInput.disabled = conversationalModeInput.checked; });
+interviewerVoiceInput.addEventListener('change', () => { hideQuestionTextInput.disabled = !interviewerVoiceInput.checked; });
+timedModeInput.addEventListener('change', () => timedSettings.classList.toggle('hidden', !timedModeInput.checked));
+timedPresetInput.addEventListener('change', () => applyTimedPreset(timedPresetInput.value));
+uiLanguageInput.addEventListener('change', () => setUiLanguage(uiLanguageInput.value));
 exportReportBtn.addEventListener('click', exportReportAsPdf);
+detailedResults.addEventListener('click', handleResultsClick);
+startDrillBtn.addEventListener('click', () => startDrill(startDrillBtn));
+setupDrillBtn.addEventListener('click', () => startDrill(setupDrillBtn));
+startPracticeBtn.addEventListener('click', startPractice);
+interviewLanguageInput.addEventListener('change', loadPracticePlan);
 
 recordBtn.addEventListener('click', startRecording);
 stopBtn.addEventListener('click', stopRecording);
@@ -760,15 +2653,13 @@ nextBtn.addEventListener('click', saveAnswerAndContinue);
 
 backToQuestionsBtn.addEventListener('click', () => {
   state.currentIndex = Math.max(0, state.questions.length - 1);
+  if (state.timed) state.timed.endedAt = 0;
   showScreen(questionScreen);
   renderCurrentQuestion();
 });
 
 analyzeBtn.addEventListener('click', () => {
-  document.querySelectorAll('[data-coaching-index]').forEach((input) => {
-    const i = Number(input.getAttribute('data-coaching-index'));
-    if (state.answers[i]) state.answers[i].transcript = input.value.trim();
-  });
+  syncCoachingEdits();
   analyzeInterview();
 });
 
@@ -776,5 +2667,12 @@ answerTranscript.addEventListener('input', () => {
   nextBtn.disabled = answerTranscript.value.trim().length === 0;
 });
 
-createSliders();
-bootstrapAuth();
+async function initialize() {
+  createSliders();
+  createTimedLimitInputs();
+  await loadLanguages();
+  await setUiLanguage(getInitialUiLanguage());
+  bootstrapAuth();
+}
+
+initialize();
@@ -1,491 +1,3995 @@
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { readdirSync } = require('fs');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
 const express = require('express');
+const mammoth = require('mammoth');
 const multer = require('multer');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
 const OpenAI = require('openai');
 const dotenv = require('dotenv');
 
 dotenv.config();
 
 const app = express();
-const upload = multer({ storage: multer.memoryStorage() });
 
 const PORT = process.env.PORT || 3000;
 const hasApiKey = Boolean(process.env.OPENAI_API_KEY);
 
-if (!hasApiKey) {
-  console.warn('OPENAI_API_KEY is missing. Question generation/analysis will use local fallback responses.');
+const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY || 'missing-key' });
+
+const DEFAULT_MODEL = process.env.LLM_MODEL || 'gpt-4.1-mini';
+const llmTaskModels = {
+  questions: process.env.LLM_MODEL_QUESTIONS || DEFAULT_MODEL,
+  followUp: process.env.LLM_MODEL_FOLLOW_UP || DEFAULT_MODEL,
+  interviewTurn: process.env.LLM_MODEL_FOLLOW_UP || DEFAULT_MODEL,
+  translation: process.env.LLM_MODEL_TRANSLATION || DEFAULT_MODEL,
+  analysis: process.env.LLM_MODEL_ANALYSIS || DEFAULT_MODEL,
+  analysisSummary: process.env.LLM_MODEL_ANALYSIS || DEFAULT_MODEL,
+  rewrite: process.env.LLM_MODEL_ANALYSIS || DEFAULT_MODEL,
+  drill: process.env.LLM_MODEL_QUESTIONS || DEFAULT_MODEL,
+  profile: process.env.LLM_MODEL_PROFILE || DEFAULT_MODEL,
+  gapAnalysis: process.env.LLM_MODEL_ANALYSIS || DEFAULT_MODEL
+};
+
+function createOpenAiProvider() {
+  return {
+    name: 'openai',
+    async complete({ model, messages }) {
+      const response = await client.responses.create({ model, input: messages });
+      return response.output_text;
+    }
+  };
+}
+
+function createOpenAiCompatibleProvider() {
+  if (!process.env.LLM_BASE_URL) throw new Error('LLM_PROVIDER=openai-compatible requires LLM_BASE_URL.');
+  const compatibleClient = new OpenAI({
+    apiKey: process.env.LLM_API_KEY || 'not-needed',
+    baseURL: process.env.LLM_BASE_URL
+  });
+  return {
+    name: 'openai-compatible',
+    async complete({ model, messages }) {
+      const response = await compatibleClient.chat.completions.create({ model, messages });
+      return response.choices?.[0]?.message?.content || '';
+    }
+  };
+}
+
+const mockResponders = {
+  questions: async ({ categories, language, bankContext }) => ({ questions: await generateFallbackQuestions(categories, language, bankContext) }),
+  followUp: ({ category, language }) => ({ followUpQuestion: getFallbackFollowUp(category, language) }),
+  interviewTurn: ({ fallback }) => fallback,
+  translation: ({ questions = [], language }) => ({
+    questions: questions.map((q, i) => ({ category: q.category, question: getFallbackQuestion(language, q.category, i) }))
+  }),
+  analysis: ({ qaPairs = [], language, role }) => {
+    const results = qaPairs.map((qa) => {
+      const evaluated = evaluateTranscript(qa.transcript || '', { category: qa.category, role, language });
+      return {
+        category: qa.category,
+        question: qa.question,
+        transcript: qa.transcript,
+        score: evaluated.score,
+        feedback: evaluated.feedback,
+        improvementTips: evaluated.improvementTips
+      };
+    });
+    const overallScore = results.length ? Math.round(results.reduce((sum, row) => sum + row.score, 0) / results.length) : 0;
+    return { overallScore, overallFeedback: getFallbackOverallFeedback(language, overallScore), results };
+  },
+  analysisSummary: ({ overallScore, language }) => ({ overallFeedback: getFallbackOverallFeedback(language, overallScore) }),
+  rewrite: ({ fallback }) => fallback,
+  drill: ({ fallback }) => ({ questions: fallback }),
+  profile: ({ resume, jobDescription }) => parseProfileLocally(resume, jobDescription),
+  gapAnalysis: ({ localReport }) => localReport
+};
+
+function createMockProvider() {
+  return {
+    name: 'mock',
+    async complete({ task, context }) {
+      const responder = mockResponders[task];
+      if (!responder) throw new Error(`Mock provider has no responder for task "${task}".`);
+      return JSON.stringify(await responder(context || {}));
+    }
+  };
+}
+
+const llmProviders = {
+  openai: createOpenAiProvider,
+  'openai-compatible': createOpenAiCompatibleProvider,
+  mock: createMockProvider
+};
+
+function createLlmProvider(name = process.env.LLM_PROVIDER || (hasApiKey ? 'openai' : 'none')) {
+  if (name === 'none') return null;
+  const factory = llmProviders[name];
+  if (!factory) throw new Error(`Unknown LLM_PROVIDER "${name}". Available: none, ${Object.keys(llmProviders).join(', ')}.`);
+  return factory();
+}
+
+const llm = createLlmProvider();
+
+if (!llm) {
+  console.warn('No LLM provider configured (set OPENAI_API_KEY or LLM_PROVIDER). Question generation/analysis will use local fallback responses.');
+}
+
+function runModelTask(task, messages, context = {}) {
+  return llm.complete({ task, model: llmTaskModels[task], messages, context });
+}
+
+const STT_MODEL = process.env.STT_MODEL || 'gpt-4o-mini-transcribe';
+const MOCK_TRANSCRIPT = 'In my last role I led the migration of our billing service. The situation was that releases took two weeks, so I set up automated tests and a staged rollout. As a result we cut release time by 60 percent and reduced incidents.';
+
+function toAudioFile({ buffer, filename, mimetype }) {
+  return new File([buffer], filename || 'answer.webm', { type: mimetype || 'audio/webm' });
+}
+
+function createOpenAiSttProvider(sttClient = client, name = 'openai') {
+  const wordTimestamps = STT_MODEL.startsWith('whisper');
+  return {
+    name,
+    async transcribe({ buffer, filename, mimetype, languageCode }) {
+      const transcription = await sttClient.audio.transcriptions.create({
+        file: toAudioFile({ buffer, filename, mimetype }),
+        model: STT_MODEL,
+        ...(languageCode ? { language: languageCode } : {}),
+        ...(wordTimestamps ? { response_format: 'verbose_json', timestamp_granularities: ['word'] } : {})
+      });
+      return {
+        text: transcription.text || '',
+        words: (transcription.words || []).map(({ word, start, end }) => ({ word: word.trim(), start, end }))
+      };
+    }
+  };
+}
+
+function createOpenAiCompatibleSttProvider() {
+  if (!process.env.STT_BASE_URL) throw new Error('STT_PROVIDER=openai-compatible requires STT_BASE_URL.');
+  const compatibleClient = new OpenAI({
+    apiKey: process.env.STT_API_KEY || 'not-needed',
+    baseURL: process.env.STT_BASE_URL
+  });
+  return createOpenAiSttProvider(compatibleClient, 'openai-compatible');
+}
+
+const execFileAsync = promisify(execFile);
+const STT_TIMEOUT_MS = Math.max(1000, Number(process.env.STT_TIMEOUT_MS || 120000));
+const AUDIO_FORMATS = {
+  webm: ['audio/webm', 'video/webm'],
+  ogg: ['audio/ogg', 'application/ogg'],
+  wav: ['audio/wav', 'audio/x-wav', 'audio/wave'],
+  mp3: ['audio/mpeg', 'audio/mp3']
+};
+
+function detectAudioFormat(filename = '', mimetype = '') {
+  const type = mimetype.split(';')[0].trim().toLowerCase();
+  const byType = Object.keys(AUDIO_FORMATS).find((format) => AUDIO_FORMATS[format].includes(type));
+  if (byType) return byType;
+  const extension = path.extname(filename).slice(1).toLowerCase();
+  return Object.hasOwn(AUDIO_FORMATS, extension) ? extension : null;
+}
+
+async function convertToWav(inputFile, outputFile) {
+  await execFileAsync(process.env.FFMPEG_BIN || 'ffmpeg', [
+    '-nostdin', '-loglevel', 'error', '-y',
+    '-i', inputFile,
+    '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le',
+    outputFile
+  ], { timeout: STT_TIMEOUT_MS });
+}
+
+function parseWhisperCppJson(output) {
+  const segments = output.transcription || [];
+  const words = segments
+    .map((segment) => ({
+      word: String(segment.text || '').trim(),
+      start: (segment.offsets?.from || 0) / 1000,
+      end: (segment.offsets?.to || 0) / 1000
+    }))
+    .filter((item) => item.word && !/^\[.*\]$/.test(item.word));
+  return { text: words.map((item) => item.word).join(' '), words };
+}
+
+function createWhisperCppProvider() {
+  const model = process.env.WHISPER_CPP_MODEL;
+  if (!model) throw new Error('STT_PROVIDER=whisper-cpp requires WHISPER_CPP_MODEL (path to a ggml model file).');
+  const binary = process.env.WHISPER_CPP_BIN || 'whisper-cli';
+  const threads = String(Math.max(1, Number(process.env.WHISPER_CPP_THREADS) || os.cpus().length));
+  return {
+    name: 'whisper-cpp',
+    async transcribe({ buffer, filename, mimetype, languageCode }) {
+      const format = detectAudioFormat(filename, mimetype) || 'webm';
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'prepgpt-stt-'));
+      try {
+        const input = path.join(dir, `input.${format}`);
+        const wav = path.join(dir, 'audio.wav');
+        const outputBase = path.join(dir, 'transcript');
+        await fs.writeFile(input, buffer);
+        await convertToWav(input, wav);
+        await execFileAsync(binary, [
+          '-m', model,
+          '-f', wav,
+          '-l', languageCode || 'auto',
+          '-t', threads,
+          '--max-len', '1', '--split-on-word',
+          '--no-prints',
+          '--output-json', '--output-file', outputBase
+        ], { timeout: STT_TIMEOUT_MS, maxBuffer: 16 * 1024 * 1024 });
+        return parseWhisperCppJson(JSON.parse(await fs.readFile(`${outputBase}.json`, 'utf8')));
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    }
+  };
+}
+
+function createMockSttProvider() {
+  const words = (process.env.STT_MOCK_TRANSCRIPT || MOCK_TRANSCRIPT).split(/\s+/).filter(Boolean);
+  return {
+    name: 'mock',
+    async transcribe({ buffer }) {
+      const spoken = words.slice(0, Math.min(words.length, Math.ceil(buffer.length / 2048)));
+      return {
+        text: spoken.join(' '),
+        words: spoken.map((word, i) => ({ word, start: Number((i * 0.4).toFixed(2)), end: Number((i * 0.4 + 0.3).toFixed(2)) }))
+      };
+    }
+  };
+}
+
+const sttProviders = {
+  openai: () => createOpenAiSttProvider(),
+  'openai-compatible': createOpenAiCompatibleSttProvider,
+  'whisper-cpp': createWhisperCppProvider,
+  mock: createMockSttProvider
+};
+
+function createSttProvider(name = process.env.STT_PROVIDER || (hasApiKey ? 'openai' : llm?.name === 'mock' ? 'mock' : 'none')) {
+  if (name === 'none') return null;
+  const factory = sttProviders[name];
+  if (!factory) throw new Error(`Unknown STT_PROVIDER "${name}". Available: none, ${Object.keys(sttProviders).join(', ')}.`);
+  return factory();
+}
+
+const stt = createSttProvider();
+
+const TTS_MODEL = process.env.TTS_MODEL || 'gpt-4o-mini-tts';
+const TTS_VOICE = process.env.TTS_VOICE || 'alloy';
+
+function createOpenAiTtsProvider(ttsClient = client, name = 'openai') {
+  return {
+    name,
+    format: 'mp3',
+    contentType: 'audio/mpeg',
+    async synthesize({ text, language }) {
+      const response = await ttsClient.audio.speech.create({
+        model: TTS_MODEL,
+        voice: TTS_VOICE,
+        input: text,
+        response_format: 'mp3',
+        ...(TTS_MODEL.startsWith('gpt-') ? { instructions: `Speak ${language} as a calm, professional job interviewer.` } : {})
+      });
+      return Buffer.from(await response.arrayBuffer());
+    }
+  };
+}
+
+function createOpenAiCompatibleTtsProvider() {
+  if (!process.env.TTS_BASE_URL) throw new Error('TTS_PROVIDER=openai-compatible requires TTS_BASE_URL.');
+  const compatibleClient = new OpenAI({
+    apiKey: process.env.TTS_API_KEY || 'not-needed',
+    baseURL: process.env.TTS_BASE_URL
+  });
+  return createOpenAiTtsProvider(compatibleClient, 'openai-compatible');
+}
+
+function silentWav(seconds, sampleRate = 8000) {
+  const samples = Math.round(seconds * sampleRate);
+  const buffer = Buffer.alloc(44 + samples, 0x80);
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + samples, 4);
+  buffer.write('WAVEfmt ', 8);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate, 28);
+  buffer.writeUInt16LE(1, 32);
+  buffer.writeUInt16LE(8, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(samples, 40);
+  return buffer;
+}
+
+function createMockTtsProvider() {
+  return {
+    name: 'mock',
+    format: 'wav',
+    contentType: 'audio/wav',
+    async synthesize({ text }) {
+      return silentWav(Math.min(10, 0.5 + text.length * 0.02));
+    }
+  };
+}
+
+const ttsProviders = {
+  openai: () => createOpenAiTtsProvider(),
+  'openai-compatible': createOpenAiCompatibleTtsProvider,
+  mock: createMockTtsProvider
+};
+
+function createTtsProvider(name = process.env.TTS_PROVIDER || (hasApiKey ? 'openai' : llm?.name === 'mock' ? 'mock' : 'none')) {
+  if (name === 'none') return null;
+  const factory = ttsProviders[name];
+  if (!factory) throw new Error(`Unknown TTS_PROVIDER "${name}". Available: none, ${Object.keys(ttsProviders).join(', ')}.`);
+  return factory();
+}
+
+const tts = createTtsProvider();
+
+const LLM_MAX_ATTEMPTS = Math.max(1, Number(process.env.LLM_MAX_ATTEMPTS) || 2);
+const QUESTION_CATEGORIES = ['Behavioral', 'Technical', 'Situational', 'Motivational'];
+
+const questionItemSchema = {
+  type: 'object',
+  required: ['category', 'question'],
+  properties: {
+    category: { type: 'string', enum: QUESTION_CATEGORIES },
+    question: { type: 'string', minLength: 1 }
+  }
+};
+
+const SENIORITY_LEVELS = ['intern', 'junior', 'mid', 'senior', 'lead', 'executive', 'unspecified'];
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const GAP_STATUSES = ['covered', 'weak', 'missing'];
+
+const outputSchemas = {
+  gapAnalysis: {
+    type: 'object',
+    required: ['coverage', 'summary', 'requirements'],
+    properties: {
+      coverage: { type: 'number', minimum: 0, maximum: 100 },
+      summary: { type: 'string', minLength: 1 },
+      requirements: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['requirement', 'type', 'status', 'evidence', 'category'],
+          properties: {
+            requirement: { type: 'string', minLength: 1 },
+            type: { type: 'string', enum: ['must', 'nice'] },
+            status: { type: 'string', enum: GAP_STATUSES },
+            evidence: { type: 'string' },
+            reasoning: { type: 'string' },
+            category: { type: 'string', enum: QUESTION_CATEGORIES }
+          }
+        }
+      },
+      missingSkills: stringList
+    }
+  },
+  profile: {
+    type: 'object',
+    required: ['resume', 'jobDescription'],
+    properties: {
+      resume: {
+        type: 'object',
+        required: ['roles', 'skills'],
+        properties: {
+          name: { type: 'string' },
+          headline: { type: 'string' },
+          roles: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['title', 'employer', 'achievements'],
+              properties: {
+                title: { type: 'string' },
+                employer: { type: 'string' },
+                startDate: { type: 'string' },
+                endDate: { type: 'string' },
+                achievements: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    required: ['text', 'metrics'],
+                    properties: { text: { type: 'string', minLength: 1 }, metrics: stringList }
+                  }
+                }
+              }
+            }
+          },
+          skills: stringList,
+          education: stringList
+        }
+      },
+      jobDescription: {
+        type: 'object',
+        required: ['seniority', 'mustHaves', 'niceToHaves'],
+        properties: {
+          title: { type: 'string' },
+          company: { type: 'string' },
+          seniority: { type: 'string', enum: SENIORITY_LEVELS },
+          mustHaves: stringList,
+          niceToHaves: stringList,
+          responsibilities: stringList,
+          skills: stringList
+        }
+      }
+    }
+  },
+  questions: {
+    type: 'object',
+    required: ['questions'],
+    properties: { questions: { type: 'array', minItems: 1, items: questionItemSchema } }
+  },
+  rewrite: {
+    type: 'object',
+    required: ['rewrite', 'referenceAnswer', 'inventedDetails'],
+    properties: {
+      rewrite: { type: 'string', minLength: 1 },
+      referenceAnswer: { type: 'string' },
+      inventedDetails: stringList
+    }
+  },
+  analysisSummary: {
+    type: 'object',
+    required: ['overallFeedback'],
+    properties: { overallFeedback: { type: 'string', minLength: 1 } }
+  },
+  followUp: {
+    type: 'object',
+    required: ['followUpQuestion'],
+    properties: { followUpQuestion: { type: 'string', minLength: 1 } }
+  },
+  interviewTurn: {
+    type: 'object',
+    required: ['action'],
+    properties: {
+      action: { type: 'string', enum: ['probe', 'move_on'] },
+      question: { type: 'string' },
+      transition: { type: 'string' }
+    }
+  },
+  analysis: {
+    type: 'object',
+    required: ['overallFeedback', 'results'],
+    properties: {
+      overallScore: { type: 'number', minimum: 0, maximum: 100 },
+      overallFeedback: { type: 'string', minLength: 1 },
+      results: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['question', 'score', 'feedback', 'improvementTips'],
+          properties: {
+            category: { type: 'string' },
+            question: { type: 'string' },
+            transcript: { type: 'string' },
+            score: { type: 'number', minimum: 0, maximum: 100 },
+            feedback: { type: 'string', minLength: 1 },
+            improvementTips: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      }
+    }
+  }
+};
+
+function validateSchema(value, schema, at = '$') {
+  const errors = [];
+  const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+  if (schema.type && actualType !== schema.type) {
+    errors.push(`${at} must be ${schema.type}, got ${actualType}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${at} must be one of ${schema.enum.join('|')}`);
+  if (schema.type === 'string' && schema.minLength && value.trim().length < schema.minLength) errors.push(`${at} must not be empty`);
+  if (schema.type === 'number') {
+    if (!Number.isFinite(value)) errors.push(`${at} must be a finite number`);
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} must be <= ${schema.maximum}`);
+  }
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) errors.push(`${at} must have at least ${schema.minItems} item(s)`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${at}[${i}]`)));
+  }
+  if (schema.type === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) errors.push(`${at}.${key} is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, child]) => {
+      if (value[key] !== undefined) errors.push(...validateSchema(value[key], child, `${at}.${key}`));
+    });
+  }
+  return errors;
+}
+
+function closeTruncatedJson(text) {
+  const closers = [];
+  let inString = false;
+  let escaped = false;
+  for (const ch of text) {
+    if (escaped) { escaped = false; continue; }
+    if (ch === '\\') { escaped = inString; continue; }
+    if (ch === '"') { inString = !inString; continue; }
+    if (inString) continue;
+    if (ch === '{') closers.push('}');
+    else if (ch === '[') closers.push(']');
+    else if (ch === '}' || ch === ']') closers.pop();
+  }
+  let repaired = inString ? `${text}"` : text;
+  repaired = repaired.replace(/,\s*$/, '').replace(/:\s*$/, ': null');
+  return repaired + closers.reverse().join('');
+}
+
+function parseModelJson(raw = '') {
+  const text = String(raw).trim();
+  try {
+    return { value: JSON.parse(text), repaired: false };
+  } catch {
+    // Fall through to the repair steps below.
+  }
+
+  let candidate = text.replace(/^```(?:json)?\s*/i, '').replace(/\s*```[\s\S]*$/, '');
+  const start = candidate.search(/[{[]/);
+  if (start < 0) throw new Error('no JSON object found');
+  candidate = candidate.slice(start).replace(/,\s*([}\]])/g, '$1');
+
+  try {
+    return { value: JSON.parse(candidate), repaired: true };
+  } catch {
+    const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+    const trimmed = end > 0 ? candidate.slice(0, end + 1) : candidate;
+    for (const attempt of [trimmed, closeTruncatedJson(candidate)]) {
+      try {
+        return { value: JSON.parse(attempt), repaired: true };
+      } catch {
+        // Try the next repair strategy.
+      }
+    }
+  }
+  throw new Error('response could not be repaired into valid JSON');
+}
+
+async function requestStructured(task, messages, { schema, check, context } = {}) {
+  const conversation = [...messages];
+  let lastError = '';
+  let repaired = false;
+
+  for (let attempt = 1; attempt <= LLM_MAX_ATTEMPTS; attempt += 1) {
+    const outputText = await runModelTask(task, conversation, context);
+    let errors = [];
+    let value = null;
+    try {
+      const parsed = parseModelJson(outputText);
+      value = parsed.value;
+      repaired = repaired || parsed.repaired;
+      errors = validateSchema(value, schema);
+      if (errors.length === 0 && check) {
+        const problem = check(value);
+        if (problem) errors.push(problem);
+      }
+    } catch (error) {
+      errors = [`Response was not valid JSON (${error.message})`];
+    }
+
+    if (errors.length === 0) {
+      const notes = [];
+      if (repaired) notes.push('JSON repair');
+      if (attempt > 1) notes.push(`${attempt} attempts`);
+      const warning = notes.length ? `Model output needed ${notes.join(' and ')} to pass validation.` : undefined;
+      return { ok: true, value, attempts: attempt, warning };
+    }
+
+    lastError = errors.slice(0, 6).join('; ');
+    console.warn(`Structured output for "${task}" failed validation (attempt ${attempt}/${LLM_MAX_ATTEMPTS}):`, lastError);
+    conversation.push(
+      { role: 'assistant', content: String(outputText || '') },
+      { role: 'user', content: `Your previous response was invalid: ${lastError}. Return ONLY the corrected JSON with the exact required structure.` }
+    );
+  }
+
+  return { ok: false, attempts: LLM_MAX_ATTEMPTS, error: lastError };
+}
+
+function checkSameQuestionShape(expected) {
+  return (value) => {
+    const got = value.questions || [];
+    if (got.length !== expected.length) return `$.questions must contain exactly ${expected.length} item(s), got ${got.length}`;
+    const i = got.findIndex((q, idx) => q.category !== expected[idx].category);
+    return i >= 0 ? `$.questions[${i}].category must stay "${expected[i].category}" (same order as the input)` : null;
+  };
+}
+
+function checkCategoryCounts(categories = {}) {
+  return (value) => {
+    const problems = QUESTION_CATEGORIES
+      .map((category) => {
+        const wanted = Math.max(0, Number(categories[category]) || 0);
+        const got = value.questions.filter((q) => q.category === category).length;
+        return got === wanted ? null : `expected ${wanted} ${category} question(s), got ${got}`;
+      })
+      .filter(Boolean);
+    return problems.length ? problems.join('; ') : null;
+  };
+}
+
+app.use(express.static('public'));
+app.use('/fonts', express.static(path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf'), { maxAge: '7d' }));
+app.use(express.json({ limit: '4mb' }));
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'storage');
+const SESSION_COOKIE = 'prepgpt_session';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+function createJsonFileStore(filePath) {
+  let cache = null;
+  let loading = null;
+  let writeQueue = Promise.resolve();
+
+  function load() {
+    if (!loading) {
+      loading = readDatabase();
+      loading.catch(() => {
+        loading = null;
+      });
+    }
+    return loading;
+  }
+
+  async function readDatabase() {
+    try {
+      cache = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      cache = {};
+    }
+    return cache;
+  }
+
+  function save() {
+    const run = writeQueue.then(async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(cache, null, 2));
+      await fs.rename(tmpPath, filePath);
+    });
+    writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async function collection(name) {
+    const data = await load();
+    if (!Array.isArray(data[name])) data[name] = [];
+    return data[name];
+  }
+
+  return {
+    async list(name, predicate = () => true) {
+      return (await collection(name)).filter(predicate);
+    },
+    async find(name, predicate) {
+      return (await collection(name)).find(predicate) || null;
+    },
+    async get(name, id) {
+      return (await collection(name)).find((record) => record.id === id) || null;
+    },
+    async insert(name, record) {
+      const records = await collection(name);
+      const created = { id: crypto.randomUUID(), ...record };
+      records.push(created);
+      await save();
+      return created;
+    },
+    async update(name, id, patch) {
+      const records = await collection(name);
+      const i = records.findIndex((record) => record.id === id);
+      if (i < 0) return null;
+      records[i] = { ...records[i], ...patch, id };
+      await save();
+      return records[i];
+    },
+    async upsertMany(name, changes) {
+      const records = await collection(name);
+      const saved = changes.map((change) => {
+        const i = change.id ? records.findIndex((record) => record.id === change.id) : -1;
+        if (i < 0) {
+          const created = { id: crypto.randomUUID(), ...change };
+          records.push(created);
+          return created;
+        }
+        records[i] = { ...records[i], ...change };
+        return records[i];
+      });
+      if (saved.length) await save();
+      return saved;
+    },
+    async remove(name, predicate) {
+      const records = await collection(name);
+      const kept = records.filter((record) => !predicate(record));
+      const removed = records.length - kept.length;
+      if (removed > 0) {
+        records.splice(0, records.length, ...kept);
+        await save();
+      }
+      return removed;
+    }
+  };
+}
+
+const storeDrivers = {
+  json: () => createJsonFileStore(path.join(DATA_DIR, 'prepgpt-db.json'))
+};
+
+function createStore(driver = process.env.STORE_DRIVER || 'json') {
+  const factory = storeDrivers[driver];
+  if (!factory) throw new Error(`Unknown STORE_DRIVER "${driver}". Available: ${Object.keys(storeDrivers).join(', ')}.`);
+  return factory();
+}
+
+const store = createStore();
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (error, derived) => {
+      if (error) return reject(error);
+      resolve(`scrypt:${salt}:${derived.toString('hex')}`);
+    });
+  });
+}
+
+const dummyPasswordHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+async function verifyPassword(password, stored = '') {
+  const [scheme, salt, expected] = stored.split(':');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+  const actual = (await hashPassword(password, salt)).split(':')[2];
+  return crypto.timingSafeEqual(Buffer.from(actual, 'hex'), Buffer.from(expected, 'hex'));
+}
+
+function parseCookies(header = '') {
+  return header.split(';').reduce((acc, part) => {
+    const i = part.indexOf('=');
+    if (i > 0) acc[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+    return acc;
+  }, {});
+}
+
+function setSessionCookie(res, token, maxAgeMs) {
+  const parts = [`${SESSION_COOKIE}=${encodeURIComponent(token)}`, 'Path=/', 'HttpOnly', 'SameSite=Lax', `Max-Age=${Math.floor(maxAgeMs / 1000)}`];
+  if (process.env.NODE_ENV === 'production') parts.push('Secure');
+  res.setHeader('Set-Cookie', parts.join('; '));
+}
+
+function toPublicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+async function startAuthSession(res, user) {
+  const now = new Date().toISOString();
+  await store.remove('authSessions', (s) => s.expiresAt < now);
+  const token = crypto.randomBytes(32).toString('hex');
+  await store.insert('authSessions', {
+    tokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+    userId: user.id,
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS).toISOString()
+  });
+  setSessionCookie(res, token, SESSION_TTL_MS);
+}
+
+app.use(async (req, res, next) => {
+  try {
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (!token) return next();
+    const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+    const session = await store.find('authSessions', (s) => s.tokenHash === tokenHash);
+    if (!session) return next();
+    if (new Date(session.expiresAt).getTime() < Date.now()) {
+      await store.remove('authSessions', (s) => s.id === session.id);
+      return next();
+    }
+    req.authSession = session;
+    req.user = await store.get('users', session.userId);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+function requireUser(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: 'Please log in to continue.' });
+  next();
+}
+
+const LOCALES_DIR = process.env.LOCALES_DIR ? path.resolve(process.env.LOCALES_DIR) : path.join(__dirname, 'locales');
+
+function loadLocales(dir) {
+  const loaded = {};
+  readdirSync(dir).filter((name) => name.endsWith('.json')).sort().forEach((name) => {
+    const file = path.join(dir, name);
+    const pack = require(file);
+    const missing = ['language', 'signals', 'fallbackQuestions', 'followUp', 'followUpRetry', 'overallFeedback'].filter((key) => !pack[key]);
+    if (missing.length) throw new Error(`Locale pack ${file} is missing ${missing.join(', ')}.`);
+    QUESTION_CATEGORIES.forEach((category) => {
+      if (!pack.fallbackQuestions[category]?.length) throw new Error(`Locale pack ${file} needs fallback questions for ${category}.`);
+    });
+    loaded[pack.language] = {
+      language: pack.language,
+      nativeName: pack.nativeName || pack.language,
+      code: pack.code || '',
+      signals: pack.signals.map((token) => String(token).trim().toLowerCase()).filter(Boolean),
+      fallbackQuestions: pack.fallbackQuestions,
+      followUp: pack.followUp,
+      followUpRetry: pack.followUpRetry,
+      overallFeedback: pack.overallFeedback,
+      transitions: pack.transitions || [],
+      drillRephrase: pack.drillRephrase || '',
+      timeTips: pack.timeTips || {},
+      ui: pack.ui || {}
+    };
+  });
+  if (!loaded.English) throw new Error(`${dir} must include an English locale pack.`);
+  return loaded;
+}
+
+const locales = loadLocales(LOCALES_DIR);
+
+function normalizeLanguage(language = 'English') {
+  return Object.hasOwn(locales, language) ? language : 'English';
+}
+
+function getLocale(language) {
+  return locales[normalizeLanguage(language)];
+}
+
+function getFallbackQuestion(language, category, i) {
+  const { fallbackQuestions } = getLocale(language);
+  const variants = fallbackQuestions[category] || fallbackQuestions.Behavioral;
+  return variants[i % variants.length];
+}
+
+const QUESTION_BANK_DIR = process.env.QUESTION_BANK_DIR || path.join(__dirname, 'question-bank');
+const BANK_SENIORITY = ['junior', 'mid', 'senior', 'lead'];
+const ROLE_FAMILIES = {
+  engineering: ['engineer', 'engineering', 'developer', 'software', 'devops', 'sre', 'frontend', 'front-end', 'backend', 'back-end', 'full stack', 'full-stack', 'qa', 'mobile', 'programmer'],
+  data: ['data', 'analyst', 'analytics', 'machine learning', 'data scientist', 'business intelligence', 'ml'],
+  product: ['product manager', 'product owner', 'product management', 'pm'],
+  design: ['designer', 'design', 'ux', 'ui', 'user research'],
+  marketing: ['marketing', 'marketer', 'seo', 'growth', 'content', 'brand', 'campaign'],
+  sales: ['sales', 'account executive', 'business development', 'sdr', 'bdr', 'quota'],
+  'customer-success': ['customer success', 'customer support', 'support specialist', 'customer service', 'account manager'],
+  operations: ['operations', 'logistics', 'supply chain', 'project manager', 'program manager', 'procurement'],
+  finance: ['finance', 'financial', 'accountant', 'accounting', 'controller', 'fp&a', 'auditor'],
+  people: ['hr', 'human resources', 'recruiter', 'recruiting', 'talent acquisition', 'people partner']
+};
+
+let questionBankPromise = null;
+
+async function listJsonFiles(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const nested = await Promise.all(entries.map((entry) => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listJsonFiles(fullPath);
+    return entry.name.endsWith('.json') ? [fullPath] : [];
+  }));
+  return nested.flat();
+}
+
+async function readQuestionBank(dir) {
+  const files = await listJsonFiles(dir);
+  const seen = new Set();
+  const questions = [];
+
+  for (const file of files.sort()) {
+    const data = JSON.parse(await fs.readFile(file, 'utf8'));
+    (data.questions || []).forEach((entry) => {
+      const category = entry.category || data.category;
+      const language = entry.language || data.language;
+      if (!entry.id || !entry.question || !QUESTION_CATEGORIES.includes(category) || !language) {
+        console.warn(`Skipping invalid question bank entry in ${path.relative(dir, file)}: ${entry.id || entry.question || '(empty)'}`);
+        return;
+      }
+      if (seen.has(entry.id)) {
+        console.warn(`Skipping duplicate question bank id ${entry.id} in ${path.relative(dir, file)}.`);
+        return;
+      }
+      seen.add(entry.id);
+      questions.push({
+        id: entry.id,
+        question: entry.question,
+        category,
+        language,
+        roles: entry.roles?.length ? entry.roles : ['general'],
+        seniority: entry.seniority || [],
+        skills: entry.skills || []
+      });
+    });
+  }
+
+  return questions;
+}
+
+function loadQuestionBank() {
+  if (!questionBankPromise) {
+    questionBankPromise = readQuestionBank(QUESTION_BANK_DIR).then((questions) => {
+      const missing = Object.keys(locales).filter((language) => !questions.some((entry) => entry.language === language));
+      if (missing.length) console.warn(`Question bank has no entries for ${missing.join(', ')}; those languages use the locale pack's fallback questions.`);
+      return questions;
+    }).catch((error) => {
+      console.error('Question bank failed to load:', error);
+      questionBankPromise = null;
+      return [];
+    });
+  }
+  return questionBankPromise;
+}
+
+function detectRoleFamily(text = '') {
+  const lower = text.toLowerCase();
+  let best = { family: 'general', hits: 0 };
+  Object.entries(ROLE_FAMILIES).forEach(([family, keywords]) => {
+    const hits = keywords.reduce((sum, keyword) => {
+      const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(keyword)}(?=$|[^\\p{L}\\p{N}])`, 'gu');
+      return sum + (lower.match(pattern) || []).length;
+    }, 0);
+    if (hits > best.hits) best = { family, hits };
+  });
+  return best.family;
+}
+
+function toBankSeniority(seniority) {
+  if (seniority === 'intern') return 'junior';
+  if (seniority === 'executive') return 'lead';
+  return BANK_SENIORITY.includes(seniority) ? seniority : undefined;
+}
+
+function questionBankContext({ resume, jobDescription, profile } = {}) {
+  if (!profile && !resume && !jobDescription) return {};
+  const parsed = profile || parseProfileLocally(resume || '', jobDescription || '');
+  const jd = parsed.jobDescription || {};
+  const title = jd.title || parsed.resume?.roles?.[0]?.title || '';
+  return {
+    role: detectRoleFamily(`${title}\n${title}\n${title}\n${jobDescription || (jd.responsibilities || []).join('\n')}`),
+    seniority: toBankSeniority(jd.seniority),
+    skills: [...new Set([...(jd.skills || []), ...(parsed.resume?.skills || [])])]
+  };
+}
+
+function bankTieBreaker(entry, { role = 'general', seniority, skills = [] }) {
+  const seed = `${entry.id}|${role}|${seniority || ''}|${skills.map((skill) => skill.toLowerCase()).sort().join(',')}`;
+  return parseInt(crypto.createHash('sha256').update(seed).digest('hex').slice(0, 8), 16) / 0x100000000;
+}
+
+function scoreBankQuestion(entry, context) {
+  const { role = 'general', seniority, skills = [] } = context;
+  let score = bankTieBreaker(entry, context);
+  if (entry.roles.includes(role) && role !== 'general') score += 3;
+  else if (entry.roles.includes('general')) score += 1;
+  else score -= 4;
+
+  if (seniority && entry.seniority.length) score += entry.seniority.includes(seniority) ? 1 : -3;
+
+  const wanted = new Set(skills.map((skill) => skill.toLowerCase()));
+  score += entry.skills.filter((skill) => wanted.has(skill.toLowerCase())).length * 2;
+  return score;
+}
+
+function matchesBankQuery(entry, { q, category, language, role, seniority, skill }) {
+  if (category && entry.category.toLowerCase() !== category.toLowerCase()) return false;
+  if (language && entry.language.toLowerCase() !== language.toLowerCase()) return false;
+  if (role && !entry.roles.includes(role)) return false;
+  if (seniority && entry.seniority.length && !entry.seniority.includes(seniority)) return false;
+  if (skill && !entry.skills.some((item) => item.toLowerCase() === skill.toLowerCase())) return false;
+  if (q) {
+    const haystack = `${entry.question} ${entry.skills.join(' ')}`.toLowerCase();
+    return String(q).toLowerCase().split(/\s+/).filter(Boolean).every((term) => haystack.includes(term));
+  }
+  return true;
+}
+
+async function questionBankWarning(language) {
+  const selectedLanguage = normalizeLanguage(language);
+  const bank = await loadQuestionBank();
+  if (bank.some((entry) => entry.language === selectedLanguage)) return undefined;
+  return `The question bank has no ${selectedLanguage} questions; the built-in fallback questions were used.`;
+}
+
+async function generateFallbackQuestions(categories = {}, language = 'English', context = {}) {
+  const bank = await loadQuestionBank();
+  const selectedLanguage = normalizeLanguage(language);
+  const used = new Set();
+  const questions = [];
+
+  Object.entries(categories || {}).forEach(([category, count]) => {
+    const wanted = Math.max(0, Number(count) || 0);
+    const ranked = bank
+      .filter((entry) => entry.language === selectedLanguage && entry.category === category)
+      .map((entry) => ({ entry, score: scoreBankQuestion(entry, context) }))
+      .sort((a, b) => b.score - a.score)
+      .map(({ entry }) => entry);
+
+    for (let i = 0; i < wanted; i += 1) {
+      const picked = ranked.find((entry) => !used.has(entry.id));
+      if (picked) {
+        used.add(picked.id);
+        questions.push({ category, question: picked.question });
+      } else {
+        questions.push({ category, question: getFallbackQuestion(language, category, i) });
+      }
+    }
+  });
+
+  return questions;
+}
+
+function looksLikeLanguage(text = '', language = 'English') {
+  const lower = String(text).toLowerCase();
+  if (!lower.trim()) return false;
+
+  const countHits = (signals) => signals.filter((signal) => lexiconPattern([signal], 'u').test(lower)).length;
+  const selected = normalizeLanguage(language);
+  const selectedHits = countHits(locales[selected].signals);
+  const englishHits = countHits(locales.English.signals);
+
+  if (selected === 'English') return englishHits >= 1;
+  return selectedHits >= 1 && selectedHits >= englishHits;
+}
+
+async function translateSingleQuestion(questionObj, language, index = 0) {
+  const selected = normalizeLanguage(language);
+  if (selected === 'English' || !llm) return questionObj;
+
+  try {
+    const outcome = await requestStructured('translation', [
+      {
+        role: 'system',
+        content:
+          'Translate the provided interview question into the requested language. Keep meaning and difficulty. Return ONLY JSON: {"questions":[{"category":"Behavioral|Technical|Situational|Motivational","question":"..."}]} with exactly one item. The question must be entirely in the requested language.'
+      },
+      {
+        role: 'user',
+        content: `Requested language: ${selected}. Category: ${questionObj.category}. Source question: ${questionObj.question}`
+      }
+    ], {
+      schema: outputSchemas.questions,
+      check: checkSameQuestionShape([questionObj]),
+      context: { questions: [questionObj], language: selected }
+    });
+
+    const parsed = outcome.ok ? outcome.value.questions[0] : null;
+    if (parsed?.question && looksLikeLanguage(parsed.question, selected)) {
+      return { category: questionObj.category, question: parsed.question };
+    }
+  } catch (error) {
+    console.warn('Single-question translation failed:', error?.message || error);
+  }
+
+  return {
+    category: questionObj.category,
+    question: getFallbackQuestion(selected, questionObj.category, index)
+  };
+}
+
+async function forceQuestionsLanguage(questions = [], language = 'English') {
+  const selected = normalizeLanguage(language);
+  if (!Array.isArray(questions) || questions.length === 0 || selected === 'English' || !llm) {
+    return questions;
+  }
+
+  const mismatched = questions.some((q) => !looksLikeLanguage(q?.question || '', selected));
+  if (!mismatched) return questions;
+
+  let rewritten = questions;
+  try {
+    const outcome = await requestStructured('translation', [
+      {
+        role: 'system',
+        content:
+          'Rewrite interview questions to the requested language. Keep intent and difficulty unchanged. Return ONLY JSON as {"questions":[{"category":"Behavioral|Technical|Situational|Motivational","question":"..."}]}. Every question must be entirely in the requested language.'
+      },
+      {
+        role: 'user',
+        content: `Requested language: ${selected}. Rewrite these questions and return same count and categories:
+${JSON.stringify(questions)}`
+      }
+    ], {
+      schema: outputSchemas.questions,
+      check: checkSameQuestionShape(questions),
+      context: { questions, language: selected }
+    });
+
+    if (outcome.ok) rewritten = outcome.value.questions;
+  } catch (error) {
+    console.warn('Batch language rewrite failed:', error?.message || error);
+  }
+
+  const normalized = [];
+  for (let i = 0; i < rewritten.length; i += 1) {
+    const q = rewritten[i];
+    if (looksLikeLanguage(q?.question || '', selected)) {
+      normalized.push(q);
+      continue;
+    }
+    const translated = await translateSingleQuestion(q, selected, i);
+    normalized.push(translated);
+  }
+
+  return normalized;
+}
+
+const LEXICON_GROUPS = ['situation', 'task', 'ownership', 'outcome', 'metricUnits', 'filler', 'vague'];
+const LEXICONS_DIR = process.env.LEXICONS_DIR ? path.resolve(process.env.LEXICONS_DIR) : path.join(__dirname, 'lexicons');
+
+function lexiconAlternatives(words) {
+  return words
+    .map((word) => (word.endsWith('*') ? `${escapeRegExp(word.slice(0, -1))}[\\p{L}\\p{N}-]*` : escapeRegExp(word)))
+    .join('|');
+}
+
+function lexiconPattern(words, flags = 'giu') {
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${lexiconAlternatives(words)})(?![\\p{L}\\p{N}])`, flags);
+}
+
+function loadLexicons(dir) {
+  const loaded = {};
+  readdirSync(dir).filter((name) => name.endsWith('.json')).sort().forEach((name) => {
+    const file = path.join(dir, name);
+    const config = require(file);
+    if (!config.language) throw new Error(`Lexicon ${file} must name its "language".`);
+
+    const groups = {};
+    LEXICON_GROUPS.forEach((group) => {
+      groups[group] = (config[group] || []).map((word) => String(word).toLowerCase()).filter(Boolean);
+    });
+    const expand = (words) => words.flatMap((word) => {
+      if (!String(word).startsWith('@')) return [String(word).toLowerCase()];
+      const group = groups[word.slice(1)];
+      if (!group) throw new Error(`Lexicon ${file} references unknown group "${word}".`);
+      return group;
+    });
+    const criteria = {};
+    Object.entries(config.criteria || {}).forEach(([key, words]) => {
+      criteria[key] = [...new Set(expand(words))];
+    });
+
+    loaded[config.language] = {
+      language: config.language,
+      ...groups,
+      criteria,
+      patterns: {
+        metric: new RegExp(`\\d+(?:[.,]\\d+)?\\s?(?:${lexiconAlternatives(groups.metricUnits)})(?![\\p{L}\\p{N}])`, 'giu'),
+        ownership: lexiconPattern(groups.ownership),
+        outcome: lexiconPattern(groups.outcome),
+        filler: lexiconPattern(groups.filler),
+        vague: lexiconPattern(groups.vague)
+      }
+    };
+  });
+  if (!loaded.English) throw new Error(`${dir} must include an English lexicon.`);
+  return loaded;
+}
+
+const lexicons = loadLexicons(LEXICONS_DIR);
+
+function getLexicon(language) {
+  return Object.hasOwn(lexicons, language) ? lexicons[language] : lexicons.English;
+}
+
+function extractHighlights(transcript = '', language = 'English') {
+  const { patterns } = getLexicon(language);
+  const metricMatch = transcript.match(patterns.metric) || [];
+  const ownershipMatch = transcript.match(patterns.ownership) || [];
+  const outcomeMatch = transcript.match(patterns.outcome) || [];
+  const fillerMatch = transcript.match(patterns.filler) || [];
+  const vagueMatch = transcript.match(patterns.vague) || [];
+
+  return {
+    strongPatterns: [...new Set([...metricMatch, ...ownershipMatch, ...outcomeMatch])].slice(0, 10),
+    weakPatterns: [...new Set([...fillerMatch, ...vagueMatch])].slice(0, 10),
+    metricsCount: metricMatch.length,
+    ownershipCount: ownershipMatch.length,
+    fillerCount: fillerMatch.length
+  };
+}
+
+const RUBRIC_CHECKS = ['keywords', 'metrics', 'clarity'];
+const RUBRICS_FILE = process.env.RUBRICS_FILE ? path.resolve(process.env.RUBRICS_FILE) : path.join(__dirname, 'rubrics.json');
+
+function loadRubrics(file) {
+  const config = require(file);
+  const loaded = (config.rubrics || []).map((rubric) => {
+    const criteria = (rubric.criteria || []).map((criterion) => {
+      if (!criterion.key || !(Number(criterion.weight) > 0) || !RUBRIC_CHECKS.includes(criterion.check)) {
+        throw new Error(`Rubric "${rubric.id}" has an invalid criterion "${criterion.key || '(unnamed)'}" in ${file}.`);
+      }
+      return {
+        key: criterion.key,
+        label: criterion.label || criterion.key,
+        weight: Number(criterion.weight),
+        check: criterion.check,
+        target: Math.max(1, Number(criterion.target) || 1),
+        signals: (criterion.signals || []).map((signal) => String(signal).toLowerCase()),
+        description: criterion.description || '',
+        tip: criterion.tip || ''
+      };
+    });
+    if (!rubric.id || !criteria.length) throw new Error(`Rubric "${rubric.id || '(unnamed)'}" needs an id and at least one criterion in ${file}.`);
+    return {
+      id: rubric.id,
+      name: rubric.name || rubric.id,
+      categories: rubric.match?.categories || [],
+      roles: rubric.match?.roles || [],
+      criteria
+    };
+  });
+  if (!loaded.some((rubric) => rubric.id === 'default')) throw new Error(`${file} must define a "default" rubric.`);
+  return loaded;
+}
+
+const rubrics = loadRubrics(RUBRICS_FILE);
+
+function selectRubric(category, role = 'general') {
+  const byCategory = (rubric) => rubric.categories.includes(category);
+  return rubrics.find((rubric) => byCategory(rubric) && rubric.roles.includes(role))
+    || rubrics.find((rubric) => byCategory(rubric) && !rubric.roles.length)
+    || rubrics.find((rubric) => rubric.id === 'default');
+}
+
+function describeRubric(rubric) {
+  return {
+    id: rubric.id,
+    name: rubric.name,
+    criteria: rubric.criteria.map(({ key, label, weight }) => ({ key, label, weight }))
+  };
+}
+
+function formatRubricForPrompt(rubric) {
+  const total = rubric.criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+  return rubric.criteria
+    .map((criterion) => `  - ${criterion.label} (${Math.round((criterion.weight / total) * 100)}%): ${criterion.description}`)
+    .join('\n');
+}
+
+function scoreCriterion(criterion, { text, lower, wordCount, fillerCount, lexicon }) {
+  const { weight } = criterion;
+  if (criterion.check === 'metrics') {
+    const hasMetric = (text.match(lexicon.patterns.metric) || []).length > 0;
+    return { points: hasMetric ? weight : Math.round(weight * 0.22), met: hasMetric };
+  }
+  if (criterion.check === 'clarity') {
+    let points = Math.max(Math.round(weight * 0.3), weight - Math.min(weight / 2, fillerCount * (weight / 10)));
+    if (wordCount < 35) points -= Math.round(weight * 0.3);
+    if (wordCount > 260) points -= Math.round(weight * 0.2);
+    return { points: Math.round(points), met: fillerCount <= 3 && wordCount >= 35 && wordCount <= 260 };
+  }
+  const signals = [...new Set([...criterion.signals, ...(lexicon.criteria[criterion.key] || [])])];
+  const hits = signals.filter((signal) => lexiconPattern([signal], 'u').test(lower)).length;
+  const coverage = Math.min(1, hits / criterion.target);
+  return { points: Math.round(weight * (0.3 + 0.7 * coverage)), met: coverage >= 1 };
+}
+
+function evaluateTranscript(transcript = '', { category, role, language } = {}) {
+  const text = transcript.trim();
+  const wordCount = text.split(/\s+/).filter(Boolean).length;
+  const lower = text.toLowerCase();
+  const lexicon = getLexicon(language);
+  const fillerCount = (lower.match(lexicon.patterns.filler) || []).length;
+  const rubric = selectRubric(category, role);
+
+  const rubricBreakdown = {};
+  const scored = rubric.criteria.map((criterion) => {
+    const outcome = scoreCriterion(criterion, { text, lower, wordCount, fillerCount, lexicon });
+    rubricBreakdown[criterion.key] = outcome.points;
+    return { ...criterion, ...outcome };
+  });
+
+  const totalWeight = rubric.criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+  const earned = scored.reduce((sum, criterion) => sum + criterion.points, 0);
+  const score = Math.max(18, Math.min(94, Math.round((earned / totalWeight) * 100)));
+
+  const improvementTips = scored.filter((criterion) => !criterion.met && criterion.tip).map((criterion) => criterion.tip);
+  if (wordCount < 50) improvementTips.push('Expand your answer with more detail and a clear structure.');
+  if (improvementTips.length === 0) improvementTips.push('Strong baseline. Tighten pacing and keep impact statements crisp.');
+
+  const weakest = scored
+    .slice()
+    .sort((a, b) => a.points / a.weight - b.points / b.weight)
+    .slice(0, 2)
+    .map((criterion) => criterion.label);
+  let feedback = `Good baseline answer, but there is room to improve on ${weakest.join(' and ')}.`;
+  if (score >= 75) feedback = 'Strong answer with good structure and clear impact. Tighten phrasing for maximum confidence.';
+  else if (score < 50) feedback = `Answer needs more structure and specificity. Focus first on ${weakest.join(' and ')}.`;
+
+  const scoreExplanation = `Scored with the ${rubric.name} rubric: ${scored.map((criterion) => `${criterion.label} ${criterion.points}/${criterion.weight}`).join(', ')}.`;
+
+  return {
+    score,
+    feedback,
+    improvementTips,
+    rubric: describeRubric(rubric),
+    rubricBreakdown,
+    scoreExplanation,
+    highlights: extractHighlights(text, lexicon.language)
+  };
+}
+
+const LONG_PAUSE_SECONDS = 2;
+const FILLER_TIMELINE_WINDOWS = 4;
+const SILENCE_DB = -50;
+const PACE_RANGE = { slow: 110, fast: 170 };
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function sanitizeTimedWords(words) {
+  return (Array.isArray(words) ? words : [])
+    .slice(0, 5000)
+    .map((item) => ({ word: String(item?.word || '').trim(), start: Number(item?.start), end: Number(item?.end) }))
+    .filter((item) => item.word && Number.isFinite(item.start) && Number.isFinite(item.end) && item.end >= item.start)
+    .sort((a, b) => a.start - b.start);
+}
+
+function countFillers(text, patterns) {
+  return (text.match(patterns.filler) || []).length;
+}
+
+function summarizeVolume(levels) {
+  const voiced = (Array.isArray(levels) ? levels : [])
+    .slice(0, 5000)
+    .map(Number)
+    .filter((level) => Number.isFinite(level) && level > SILENCE_DB && level <= 0);
+  if (voiced.length < 4) return null;
+  const meanDb = voiced.reduce((sum, level) => sum + level, 0) / voiced.length;
+  const spreadDb = Math.sqrt(voiced.reduce((sum, level) => sum + (level - meanDb) ** 2, 0) / voiced.length);
+  return {
+    meanDb: round1(meanDb),
+    spreadDb: round1(spreadDb),
+    consistency: Math.max(0, Math.min(100, Math.round(100 - Math.max(0, spreadDb - 3) * 8))),
+    samples: voiced.length
+  };
+}
+
+function computeDeliveryMetrics(qa = {}, language = 'English') {
+  const { patterns } = getLexicon(normalizeLanguage(language));
+  const words = sanitizeTimedWords(qa.words);
+  const recordedSeconds = Number(qa.recordedSeconds) > 0 ? Number(qa.recordedSeconds) : null;
+  const volume = summarizeVolume(qa.volumeLevels);
+  const transcript = String(qa.transcript || '');
+  if (!words.length && !recordedSeconds && !volume) return null;
+
+  const timed = words.length > 1;
+  const wordCount = timed ? words.length : transcript.split(/\s+/).filter(Boolean).length;
+  const talkSeconds = timed ? words[words.length - 1].end - words[0].start : null;
+  const speakingSeconds = talkSeconds || recordedSeconds;
+  const wordsPerMinute = speakingSeconds ? Math.round((wordCount / speakingSeconds) * 60) : null;
+  const fillerCount = countFillers(timed ? words.map((item) => item.word).join(' ') : transcript, patterns);
+
+  const pauses = timed
+    ? words.slice(1)
+      .map((item, i) => ({ at: round1(words[i].end), seconds: round1(item.start - words[i].end) }))
+      .filter((gap) => gap.seconds >= LONG_PAUSE_SECONDS)
+    : [];
+
+  const windowSeconds = timed && talkSeconds > 0 ? talkSeconds / FILLER_TIMELINE_WINDOWS : 0;
+  const fillerTimeline = windowSeconds
+    ? Array.from({ length: FILLER_TIMELINE_WINDOWS }, (_, i) => {
+      const from = words[0].start + i * windowSeconds;
+      const to = from + windowSeconds;
+      const inWindow = words.filter((item) => item.start >= from && (item.start < to || i === FILLER_TIMELINE_WINDOWS - 1));
+      const count = countFillers(inWindow.map((item) => item.word).join(' '), patterns);
+      return { from: round1(from), to: round1(to), count, perMinute: round1((count / windowSeconds) * 60) };
+    })
+    : [];
+
+  return {
+    timed,
+    wordCount,
+    recordedSeconds,
+    talkSeconds: talkSeconds === null ? null : round1(talkSeconds),
+    talkRatio: talkSeconds && recordedSeconds ? Math.min(1, Math.round((talkSeconds / recordedSeconds) * 100) / 100) : null,
+    wordsPerMinute,
+    pace: wordsPerMinute === null ? null : wordsPerMinute < PACE_RANGE.slow ? 'slow' : wordsPerMinute > PACE_RANGE.fast ? 'fast' : 'steady',
+    pauses: timed
+      ? {
+        count: pauses.length,
+        longestSeconds: pauses.reduce((max, gap) => Math.max(max, gap.seconds), 0),
+        totalSeconds: round1(pauses.reduce((sum, gap) => sum + gap.seconds, 0)),
+        items: pauses.slice(0, 20)
+      }
+      : null,
+    fillers: {
+      count: fillerCount,
+      per100Words: wordCount ? round1((fillerCount / wordCount) * 100) : 0,
+      perMinute: speakingSeconds ? round1((fillerCount / speakingSeconds) * 60) : null,
+      timeline: fillerTimeline
+    },
+    volume
+  };
+}
+
+app.post('/api/auth/signup', async (req, res) => {
+  try {
+    const name = String(req.body?.name || '').trim();
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    const password = String(req.body?.password || '');
+
+    if (!name || !email || !password) return res.status(400).json({ error: 'Please fill all sign-up fields.' });
+    if (password.length < 8) return res.status(400).json({ error: 'Password must be at least 8 characters.' });
+    if (await store.find('users', (u) => u.email === email)) {
+      return res.status(409).json({ error: 'Account already exists for this email. Please log in.' });
+    }
+
+    const user = await store.insert('users', {
+      name,
+      email,
+      passwordHash: await hashPassword(password),
+      headline: '',
+      targetRole: '',
+      createdAt: new Date().toISOString()
+    });
+    await startAuthSession(res, user);
+    res.status(201).json({ user: toPublicUser(user) });
+  } catch (error) {
+    console.error('Sign-up failed:', error);
+    res.status(500).json({ error: 'Failed to create account.' });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    const password = String(req.body?.password || '');
+    const user = await store.find('users', (u) => u.email === email);
+    const valid = await verifyPassword(password, user ? user.passwordHash : await dummyPasswordHash);
+
+    if (!user || !valid) {
+      return res.status(401).json({ error: 'Invalid email or password.' });
+    }
+
+    await startAuthSession(res, user);
+    res.json({ user: toPublicUser(user) });
+  } catch (error) {
+    console.error('Login failed:', error);
+    res.status(500).json({ error: 'Failed to log in.' });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    if (req.authSession) await store.remove('authSessions', (s) => s.id === req.authSession.id);
+    setSessionCookie(res, '', 0);
+    res.json({ ok: true });
+  } catch (error) {
+    console.error('Logout failed:', error);
+    res.status(500).json({ error: 'Failed to log out.' });
+  }
+});
+
+app.get('/api/me', requireUser, (req, res) => {
+  res.json({ user: toPublicUser(req.user) });
+});
+
+app.patch('/api/me', requireUser, async (req, res) => {
+  try {
+    const patch = {};
+    ['name', 'headline', 'targetRole'].forEach((field) => {
+      if (typeof req.body?.[field] === 'string') patch[field] = req.body[field].trim();
+    });
+    if (patch.name === '') delete patch.name;
+
+    const user = await store.update('users', req.user.id, patch);
+    res.json({ user: toPublicUser(user) });
+  } catch (error) {
+    console.error('Profile update failed:', error);
+    res.status(500).json({ error: 'Failed to update profile.' });
+  }
+});
+
+function toSessionSummary(session) {
+  return {
+    id: session.id,
+    at: session.createdAt,
+    overallScore: session.overallScore,
+    questions: session.questionCount,
+    language: session.language,
+    applicationId: session.applicationId || null
+  };
+}
+
+app.get('/api/sessions', requireUser, async (req, res) => {
+  try {
+    const { applicationId } = req.query;
+    const sessions = await store.list('interviewSessions', (s) => s.userId === req.user.id && (!applicationId || s.applicationId === applicationId));
+    sessions.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    res.json({ sessions: sessions.map(toSessionSummary) });
+  } catch (error) {
+    console.error('Session list failed:', error);
+    res.status(500).json({ error: 'Failed to load interview history.' });
+  }
+});
+
+const MAX_SESSIONS_PER_USER = 200;
+const MAX_SESSION_RESULTS = 40;
+const MAX_SESSION_TEXT = 20000;
+
+function clipText(value, max = MAX_SESSION_TEXT) {
+  return typeof value === 'string' ? value.slice(0, max) : '';
+}
+
+function finiteOrNull(value) {
+  return value !== null && value !== '' && Number.isFinite(Number(value)) ? Number(value) : null;
+}
+
+function clampScore(value) {
+  return Math.max(0, Math.min(100, Math.round(Number(value))));
+}
+
+function textList(value, limit = 10, max = 2000) {
+  return (Array.isArray(value) ? value : []).filter((item) => typeof item === 'string').slice(0, limit).map((item) => item.slice(0, max));
+}
+
+function pickNumbers(source, fields) {
+  return Object.fromEntries(fields.map((field) => [field, finiteOrNull(source?.[field])]));
+}
+
+function sanitizeStoredRubric(rubric) {
+  if (!isPlainObject(rubric) || !Array.isArray(rubric.criteria)) return undefined;
+  return {
+    id: clipText(rubric.id, 120),
+    name: clipText(rubric.name, 200),
+    criteria: rubric.criteria
+      .filter((criterion) => isPlainObject(criterion) && typeof criterion.key === 'string' && Number(criterion.weight) > 0)
+      .slice(0, 20)
+      .map((criterion) => ({ key: criterion.key.slice(0, 80), label: clipText(criterion.label, 200), weight: Number(criterion.weight) }))
+  };
+}
+
+function sanitizeStoredDelivery(delivery) {
+  if (!isPlainObject(delivery)) return null;
+  const { pauses, fillers, volume } = delivery;
+  return {
+    timed: Boolean(delivery.timed),
+    ...pickNumbers(delivery, ['wordCount', 'recordedSeconds', 'talkSeconds', 'talkRatio', 'wordsPerMinute']),
+    pace: ['slow', 'steady', 'fast'].includes(delivery.pace) ? delivery.pace : null,
+    pauses: isPlainObject(pauses)
+      ? {
+        ...pickNumbers(pauses, ['count', 'longestSeconds', 'totalSeconds']),
+        items: (Array.isArray(pauses.items) ? pauses.items : []).slice(0, 20).map((gap) => pickNumbers(gap, ['at', 'seconds']))
+      }
+      : null,
+    fillers: {
+      ...pickNumbers(fillers, ['count', 'per100Words', 'perMinute']),
+      timeline: (Array.isArray(fillers?.timeline) ? fillers.timeline : []).slice(0, FILLER_TIMELINE_WINDOWS).map((window) => pickNumbers(window, ['from', 'to', 'count', 'perMinute']))
+    },
+    volume: isPlainObject(volume) ? pickNumbers(volume, ['meanDb', 'spreadDb', 'consistency', 'samples']) : null
+  };
+}
+
+function sanitizeStoredResult(result, language) {
+  const category = QUESTION_CATEGORIES.find((item) => item === result?.category);
+  const question = clipText(result?.question).trim();
+  if (!isPlainObject(result) || !category || !question || !Number.isFinite(Number(result.score))) return null;
+  const transcript = clipText(result.transcript);
+  const rubricBreakdown = isPlainObject(result.rubricBreakdown)
+    ? Object.fromEntries(Object.entries(result.rubricBreakdown).slice(0, 20).filter(([, points]) => Number.isFinite(Number(points))).map(([key, points]) => [key.slice(0, 80), Number(points)]))
+    : {};
+  const sanitized = {
+    category,
+    question,
+    transcript,
+    score: clampScore(result.score),
+    feedback: clipText(result.feedback, 4000),
+    improvementTips: textList(result.improvementTips),
+    rubric: sanitizeStoredRubric(result.rubric),
+    rubricBreakdown,
+    scoreExplanation: clipText(result.scoreExplanation, 2000),
+    highlights: extractHighlights(transcript, language),
+    delivery: sanitizeStoredDelivery(result.delivery)
+  };
+  if (typeof result.modelAnswer === 'string' && result.modelAnswer) sanitized.modelAnswer = clipText(result.modelAnswer);
+  if (isPlainObject(result.timing)) {
+    sanitized.timing = {
+      ...pickNumbers(result.timing, ['thinkingSeconds', 'timeToStartSeconds', 'answerSeconds', 'limitSeconds', 'startOverrunSeconds', 'answerOverrunSeconds', 'penalty']),
+      autoStopped: Boolean(result.timing.autoStopped)
+    };
+  }
+  if (isPlainObject(result.previousAttempt) && Number.isFinite(Number(result.previousAttempt.score))) {
+    const previous = clampScore(result.previousAttempt.score);
+    sanitized.previousAttempt = { question: clipText(result.previousAttempt.question), score: previous, delta: sanitized.score - previous };
+  }
+  if (Array.isArray(result.exchanges)) {
+    sanitized.exchanges = result.exchanges.filter(isPlainObject).slice(0, 1 + CONVERSATION_MAX_PROBES).map((exchange) => ({
+      question: clipText(exchange.question),
+      transcript: clipText(exchange.transcript),
+      isProbe: Boolean(exchange.isProbe)
+    }));
+  }
+  if (isPlainObject(result.answerRewrite)) {
+    sanitized.answerRewrite = {
+      rewrite: clipText(result.answerRewrite.rewrite),
+      referenceAnswer: clipText(result.answerRewrite.referenceAnswer),
+      inventedDetails: textList(result.answerRewrite.inventedDetails, 20, 500)
+    };
+  }
+  return sanitized;
+}
+
+function validateSessionAnalysis(analysis, language) {
+  if (!isPlainObject(analysis) || !Array.isArray(analysis.results) || analysis.results.length === 0) {
+    return { ok: false, error: 'Missing interview analysis results.' };
+  }
+  if (analysis.results.length > MAX_SESSION_RESULTS) {
+    return { ok: false, error: `A session can hold at most ${MAX_SESSION_RESULTS} results.` };
+  }
+  const results = [];
+  for (const [i, result] of analysis.results.entries()) {
+    const sanitized = sanitizeStoredResult(result, language);
+    if (!sanitized) return { ok: false, error: `Result ${i + 1}: category, question and a numeric score are required.` };
+    results.push(sanitized);
+  }
+  const compare = (item) => ({ skill: clipText(item?.skill, 120), label: clipText(item?.label, 200), ...pickNumbers(item, ['previous', 'current', 'delta']) });
+  const drillProgress = isPlainObject(analysis.drillProgress)
+    ? {
+      categories: (Array.isArray(analysis.drillProgress.categories) ? analysis.drillProgress.categories : []).slice(0, 20).map(compare),
+      criteria: (Array.isArray(analysis.drillProgress.criteria) ? analysis.drillProgress.criteria : []).slice(0, 40).map(compare)
+    }
+    : undefined;
+  return {
+    ok: true,
+    value: {
+      overallScore: Number.isFinite(Number(analysis.overallScore)) ? clampScore(analysis.overallScore) : averageScore(results),
+      overallFeedback: clipText(analysis.overallFeedback, 4000),
+      nextStepPlan: clipText(analysis.nextStepPlan, 4000),
+      results,
+      timeManagement: isPlainObject(analysis.timeManagement)
+        ? pickNumbers(analysis.timeManagement, ['budgetSeconds', 'elapsedSeconds', 'overBudgetSeconds', 'skippedQuestions'])
+        : undefined,
+      drillProgress
+    }
+  };
+}
+
+app.post('/api/sessions', requireUser, async (req, res) => {
+  try {
+    const { resume, jobDescription, profile, applicationId } = req.body || {};
+    const language = normalizeLanguage(req.body?.language);
+    const checked = validateSessionAnalysis(req.body?.analysis, language);
+    if (!checked.ok) return res.status(400).json({ error: checked.error });
+    if (profile != null && !isPlainObject(profile)) return res.status(400).json({ error: 'profile must be an object.' });
+    const analysis = checked.value;
+    const application = applicationId ? await findOwnedApplication(applicationId, req.user.id) : null;
+    if (applicationId && !application) return res.status(400).json({ error: 'Application not found.' });
+
+    const session = await withPracticeLock(req.user.id, async () => {
+      await loadPracticeSchedule(req.user.id);
+      const created = await store.insert('interviewSessions', {
+        userId: req.user.id,
+        createdAt: new Date().toISOString(),
+        language,
+        resume: clipText(resume, 100000),
+        jobDescription: clipText(jobDescription, 100000),
+        profile: profile || null,
+        applicationId: application?.id || null,
+        overallScore: analysis.overallScore,
+        questionCount: analysis.results.length,
+        analysis
+      });
+      await recordPracticeSessions(req.user.id, [created]);
+      const expired = new Set((await store.list('interviewSessions', (s) => s.userId === req.user.id))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(MAX_SESSIONS_PER_USER)
+        .map((s) => s.id));
+      if (expired.size) await store.remove('interviewSessions', (s) => expired.has(s.id));
+      return created;
+    });
+    if (application) await store.update('applications', application.id, { updatedAt: session.createdAt });
+    res.status(201).json({ session: toSessionSummary(session) });
+  } catch (error) {
+    console.error('Session save failed:', error);
+    res.status(500).json({ error: 'Failed to save interview session.' });
+  }
+});
+
+app.get('/api/sessions/:id', requireUser, async (req, res) => {
+  try {
+    const session = await store.get('interviewSessions', req.params.id);
+    if (!session || session.userId !== req.user.id) return res.status(404).json({ error: 'Interview session not found.' });
+    res.json({ session });
+  } catch (error) {
+    console.error('Session load failed:', error);
+    res.status(500).json({ error: 'Failed to load interview session.' });
+  }
+});
+
+app.delete('/api/sessions/:id', requireUser, async (req, res) => {
+  try {
+    const removed = await withPracticeLock(req.user.id, async () => {
+      const count = await store.remove('interviewSessions', (s) => s.id === req.params.id && s.userId === req.user.id);
+      if (count) await forgetPracticeSession(req.user.id, req.params.id);
+      return count;
+    });
+    if (!removed) return res.status(404).json({ error: 'Interview session not found.' });
+    res.json({ ok: true });
+  } catch (error) {
+    console.error('Session delete failed:', error);
+    res.status(500).json({ error: 'Failed to delete interview session.' });
+  }
+});
+
+const DRILL_SESSION_WINDOW = 3;
+const DRILL_QUESTION_COUNT = 4;
+const DRILL_WEAK_SCORE = 70;
+
+function weakestCriteria(result, limit = 2) {
+  return (result.rubric?.criteria || [])
+    .map(({ key, label, weight }) => ({ key, label, ratio: weight ? (Number(result.rubricBreakdown?.[key]) || 0) / weight : 1 }))
+    .sort((a, b) => a.ratio - b.ratio)
+    .slice(0, limit);
+}
+
+function selectDrillTargets(results, count) {
+  const seen = new Set();
+  return results
+    .filter((result) => result.question && Number(result.score) < DRILL_WEAK_SCORE)
+    .sort((a, b) => a.score - b.score)
+    .filter((result) => !seen.has(result.question) && seen.add(result.question))
+    .slice(0, count);
+}
+
+async function rephraseDrillQuestions(targets, { language, resume, jobDescription, profile }) {
+  const template = getLocale(language).drillRephrase || locales.English.drillRephrase;
+  const fallback = targets.map((target) => ({ category: target.category, question: fillTemplate(template, { question: target.question }) }));
+  if (!llm || targets.length === 0) return { questions: fallback, source: 'fallback' };
+
+  try {
+    const outcome = await requestStructured('drill', [
+      {
+        role: 'system',
+        content:
+          'You are an interview coach building a targeted practice drill. For each weak question, write a rephrased version that tests the same skill from a new angle (different wording or scenario, same category) and pushes the candidate on the weakest rubric criteria listed for it. Do not reuse the original wording. Return only JSON: {"questions":[{"category":"Behavioral|Technical|Situational|Motivational","question":"..."}]} with exactly one item per weak question, in the same order. IMPORTANT: every question must be written in the requested language only.'
+      },
+      {
+        role: 'user',
+        content: `Required language: ${language}.\n${describeCandidateContext({ resume, jobDescription, profile })}\n\nWeak questions:\n${targets.map((target, i) => `${i + 1}. (${target.category}, scored ${target.score}/100; weakest criteria: ${weakestCriteria(target).map(({ label }) => label).join(', ') || 'n/a'}) ${target.question}\n   Feedback: ${target.feedback || ''}`).join('\n')}`
+      }
+    ], {
+      schema: outputSchemas.questions,
+      check: checkSameQuestionShape(targets),
+      context: { fallback }
+    });
+    if (!outcome.ok) {
+      return { questions: fallback, source: 'fallback', warning: `Model drill rephrasing failed validation after ${outcome.attempts} attempt(s) (${outcome.error}); the original questions are re-asked.` };
+    }
+    return { questions: await forceQuestionsLanguage(outcome.value.questions, language), source: llm.name, warning: outcome.warning };
+  } catch (error) {
+    console.warn('Drill rephrasing failed:', error?.message || error);
+    return { questions: fallback, source: 'fallback', warning: 'Model drill rephrasing failed; the original questions are re-asked.' };
+  }
+}
+
+async function pickFreshDrillQuestions(count, focusCategories, asked, language, bankContext) {
+  const counts = {};
+  for (let i = 0; i < count; i += 1) {
+    const { category } = focusCategories[i % focusCategories.length];
+    counts[category] = (counts[category] || 0) + 1;
+  }
+  const padded = Object.fromEntries(Object.entries(counts).map(([category, wanted]) => [category, wanted + asked.size]));
+  const candidates = (await generateFallbackQuestions(padded, language, bankContext)).filter((q) => !asked.has(q.question));
+  return Object.entries(counts).flatMap(([category, wanted]) => candidates.filter((q) => q.category === category).slice(0, wanted));
+}
+
+app.post('/api/drills', requireUser, async (req, res) => {
+  try {
+    const language = normalizeLanguage(req.body?.language);
+    const questionCount = Math.min(8, Math.max(1, Number(req.body?.questionCount) || DRILL_QUESTION_COUNT));
+    const sessions = (await store.list('interviewSessions', (s) => s.userId === req.user.id))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, DRILL_SESSION_WINDOW);
+    const results = sessions.flatMap((session) => (session.analysis?.results || []).map((result) => ({ ...result, sessionId: session.id })));
+    if (results.length === 0) return res.status(400).json({ error: 'Complete an interview before starting a drill.' });
+
+    const ranked = rankSkills(results);
+    const weakCategories = ranked.categories.filter((item) => item.averageScore < DRILL_WEAK_SCORE).slice(0, 2);
+    const focusCategories = weakCategories.length ? weakCategories : ranked.categories.slice(0, 1);
+    const latest = sessions[0];
+    const targets = selectDrillTargets(results, questionCount);
+    const rephrased = await rephraseDrillQuestions(targets, { language, resume: latest.resume, jobDescription: latest.jobDescription, profile: latest.profile });
+
+    const questions = targets.map((target, i) => ({
+      category: target.category,
+      question: rephrased.questions[i].question,
+      focus: weakestCriteria(target).map(({ label }) => label),
+      drillOf: { sessionId: target.sessionId, question: target.question, score: target.score }
+    }));
+    if (questions.length < questionCount) {
+      const asked = new Set(results.map((result) => result.question));
+      questions.push(...await pickFreshDrillQuestions(questionCount - questions.length, focusCategories, asked, language, questionBankContext(latest)));
+    }
+
+    res.json({
+      drill: {
+        language,
+        sessionIds: sessions.map((session) => session.id),
+        focusCategories,
+        weakCriteria: ranked.criteria.slice(0, 3),
+        baseline: {
+          categories: Object.fromEntries(ranked.categories.map(({ category, averageScore }) => [category, averageScore])),
+          criteria: Object.fromEntries(ranked.criteria.map(({ key, label, averageScore }) => [key, { label, score: averageScore }]))
+        },
+        resume: latest.resume,
+        jobDescription: latest.jobDescription,
+        profile: latest.profile || null,
+        questions
+      },
+      source: rephrased.source,
+      warning: rephrased.warning
+    });
+  } catch (error) {
+    console.error('Drill generation failed:', error);
+    res.status(500).json({ error: 'Failed to build a drill.' });
+  }
+});
+
+const PRACTICE_DAILY_LIMIT = 5;
+const PRACTICE_MIN_EASE = 1.3;
+const PRACTICE_MAX_INTERVAL_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const practiceLocks = new Map();
+
+function withPracticeLock(userId, task) {
+  const run = (practiceLocks.get(userId) || Promise.resolve()).then(task);
+  const tail = run.catch(() => {});
+  practiceLocks.set(userId, tail);
+  tail.then(() => {
+    if (practiceLocks.get(userId) === tail) practiceLocks.delete(userId);
+  });
+  return run;
+}
+
+function practiceKey(kind, ...parts) {
+  const text = parts.map((part) => String(part || '').toLowerCase().replace(/\s+/g, ' ').trim()).join('|');
+  return `${kind}:${crypto.createHash('sha256').update(text).digest('hex').slice(0, 16)}`;
+}
+
+function scheduleFromHistory(history) {
+  let ease = 2.5;
+  let intervalDays = 0;
+  let repetitions = 0;
+  history.forEach(({ score }) => {
+    const quality = Math.max(0, Math.min(5, Math.round(Number(score) / 20)));
+    if (quality < 3) {
+      repetitions = 0;
+      intervalDays = 1;
+    } else {
+      repetitions += 1;
+      intervalDays = repetitions === 1 ? 1 : repetitions === 2 ? 3 : Math.min(PRACTICE_MAX_INTERVAL_DAYS, Math.round(intervalDays * ease));
+    }
+    ease = Math.max(PRACTICE_MIN_EASE, ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+  });
+  const last = history[history.length - 1];
+  return {
+    ease: Math.round(ease * 100) / 100,
+    intervalDays,
+    repetitions,
+    lastScore: last.score,
+    lastPracticedAt: last.at,
+    dueAt: new Date(Date.parse(last.at) + intervalDays * DAY_MS).toISOString()
+  };
+}
+
+function practiceEntries(session) {
+  const results = (session.analysis?.results || []).filter((result) => result && Number.isFinite(Number(result.score)));
+  const entries = results
+    .filter((result) => result.question)
+    .map((result) => {
+      const question = result.previousAttempt?.question || result.question;
+      return {
+        key: practiceKey('question', session.language, question),
+        kind: 'question',
+        category: result.category,
+        question,
+        language: session.language,
+        score: Number(result.score)
+      };
+    });
+  const skills = {};
+  results.forEach((result) => {
+    (result.rubric?.criteria || []).forEach(({ key, label, weight }) => {
+      const points = Number(result.rubricBreakdown?.[key]);
+      if (!weight || !Number.isFinite(points)) return;
+      (skills[key] ||= { label, categories: {}, ratios: [] }).ratios.push(points / weight);
+      skills[key].categories[result.category] = (skills[key].categories[result.category] || 0) + 1;
+    });
+  });
+  Object.entries(skills).forEach(([skill, { label, categories, ratios }]) => {
+    entries.push({
+      key: practiceKey('skill', skill),
+      kind: 'skill',
+      skill,
+      label,
+      category: Object.entries(categories).sort((a, b) => b[1] - a[1])[0][0],
+      score: Math.round((ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length) * 100)
+    });
+  });
+  return entries;
+}
+
+async function recordPracticeSessions(userId, sessions) {
+  const items = await store.list('practiceSchedule', (item) => item.userId === userId);
+  const byKey = new Map(items.map((item) => [item.key, item]));
+  const changed = new Map();
+  sessions.forEach((session) => {
+    const seen = new Set();
+    practiceEntries(session).forEach(({ score, ...entry }) => {
+      if (seen.has(entry.key)) return;
+      seen.add(entry.key);
+      const existing = byKey.get(entry.key);
+      const history = [...(existing?.history || []), { at: session.createdAt, score, sessionId: session.id }]
+        .sort((a, b) => a.at.localeCompare(b.at));
+      const record = { userId, ...existing, ...entry, history, ...scheduleFromHistory(history) };
+      byKey.set(entry.key, record);
+      changed.set(entry.key, record);
+    });
+  });
+  if (changed.size) await store.upsertMany('practiceSchedule', [...changed.values()]);
+}
+
+async function forgetPracticeSession(userId, sessionId) {
+  const items = await store.list('practiceSchedule', (item) => item.userId === userId && item.history.some((entry) => entry.sessionId === sessionId));
+  const kept = items
+    .map((item) => ({ id: item.id, history: item.history.filter((entry) => entry.sessionId !== sessionId) }))
+    .filter(({ history }) => history.length)
+    .map(({ id, history }) => ({ id, history, ...scheduleFromHistory(history) }));
+  const emptied = new Set(items.filter((item) => !kept.some(({ id }) => id === item.id)).map((item) => item.id));
+  if (kept.length) await store.upsertMany('practiceSchedule', kept);
+  if (emptied.size) await store.remove('practiceSchedule', (record) => emptied.has(record.id));
+}
+
+async function loadPracticeSchedule(userId) {
+  const items = await store.list('practiceSchedule', (item) => item.userId === userId);
+  if (items.length) return items;
+  const sessions = (await store.list('interviewSessions', (s) => s.userId === userId))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  await recordPracticeSessions(userId, sessions);
+  return store.list('practiceSchedule', (item) => item.userId === userId);
+}
+
+function toPracticeItem(item) {
+  const { userId, history, ...rest } = item;
+  return { ...rest, history: history.map(({ at, score }) => ({ at, score })) };
+}
+
+function byPracticeUrgency(a, b) {
+  return a.dueAt.localeCompare(b.dueAt) || a.lastScore - b.lastScore;
+}
+
+app.get('/api/practice-schedule', requireUser, async (req, res) => {
+  try {
+    const now = new Date().toISOString();
+    const items = (await withPracticeLock(req.user.id, () => loadPracticeSchedule(req.user.id))).sort(byPracticeUrgency);
+    res.json({
+      items: items.map(toPracticeItem),
+      dueCount: items.filter((item) => item.dueAt <= now).length
+    });
+  } catch (error) {
+    console.error('Practice schedule load failed:', error);
+    res.status(500).json({ error: 'Failed to load the practice schedule.' });
+  }
+});
+
+app.get('/api/practice-schedule/today', requireUser, async (req, res) => {
+  try {
+    const language = normalizeLanguage(req.query.language);
+    const now = new Date().toISOString();
+    const items = (await withPracticeLock(req.user.id, () => loadPracticeSchedule(req.user.id))).sort(byPracticeUrgency);
+    const dueQuestions = items.filter((item) => item.kind === 'question' && item.language === language && item.dueAt <= now);
+    const dueSkills = items.filter((item) => item.kind === 'skill' && item.dueAt <= now);
+    const upcoming = items.find((item) => item.dueAt > now && (item.kind === 'skill' || item.language === language));
+
+    const questions = dueQuestions.slice(0, PRACTICE_DAILY_LIMIT).map((item) => ({
+      category: item.category,
+      question: item.question,
+      practice: { key: item.key, dueAt: item.dueAt, lastScore: item.lastScore, repetitions: item.repetitions }
+    }));
+    const latest = (await store.list('interviewSessions', (s) => s.userId === req.user.id))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0];
+    if (questions.length < PRACTICE_DAILY_LIMIT && dueSkills.length) {
+      const skills = dueSkills.slice(0, PRACTICE_DAILY_LIMIT - questions.length);
+      const asked = new Set(items.filter((item) => item.kind === 'question').map((item) => item.question));
+      const fresh = await pickFreshDrillQuestions(skills.length, skills, asked, language, questionBankContext(latest || {}));
+      fresh.forEach((question) => {
+        const skill = skills.find((item) => item.category === question.category && !questions.some((q) => q.practice.key === item.key));
+        questions.push({ ...question, focus: [skill.label], practice: { key: skill.key, dueAt: skill.dueAt, lastScore: skill.lastScore, repetitions: skill.repetitions } });
+      });
+    }
+
+    res.json({
+      practice: {
+        language,
+        dueCount: dueQuestions.length + dueSkills.length,
+        dueSkills: dueSkills.map(({ skill, label, category, lastScore, dueAt }) => ({ skill, label, category, lastScore, dueAt })),
+        nextDueAt: upcoming?.dueAt || null,
+        resume: latest?.resume || '',
+        jobDescription: latest?.jobDescription || '',
+        profile: latest?.profile || null,
+        questions
+      }
+    });
+  } catch (error) {
+    console.error('Practice plan failed:', error);
+    res.status(500).json({ error: 'Failed to build the practice plan.' });
+  }
+});
+
+const ANALYTICS_TREND_POINTS = 12;
+
+function sessionHighlightTotals(session) {
+  const totals = { words: 0, fillerCount: 0, metricsCount: 0, answers: 0 };
+  (session.analysis?.results || []).forEach((result) => {
+    const transcript = String(result.transcript || '');
+    const highlights = result.highlights || extractHighlights(transcript, session.language);
+    totals.words += transcript.split(/\s+/).filter(Boolean).length;
+    totals.fillerCount += Number(highlights.fillerCount) || 0;
+    totals.metricsCount += Number(highlights.metricsCount) || 0;
+    totals.answers += 1;
+  });
+  return {
+    fillerCount: totals.fillerCount,
+    fillersPer100Words: totals.words ? Math.round((totals.fillerCount / totals.words) * 1000) / 10 : 0,
+    metricsCount: totals.metricsCount,
+    metricsPerAnswer: totals.answers ? Math.round((totals.metricsCount / totals.answers) * 10) / 10 : 0
+  };
+}
+
+function buildTrend(points) {
+  const recent = points.slice(-ANALYTICS_TREND_POINTS);
+  return {
+    points: recent,
+    latest: recent[recent.length - 1].score,
+    change: recent[recent.length - 1].score - recent[0].score
+  };
+}
+
+function practiceDay(iso, offsetMinutes) {
+  return new Date(Date.parse(iso) - offsetMinutes * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function computeStreaks(sessions, offsetMinutes, now = new Date()) {
+  const days = [...new Set(sessions.map((session) => practiceDay(session.createdAt, offsetMinutes)))].sort();
+  let longest = 0;
+  let run = 0;
+  days.forEach((day, i) => {
+    run = i > 0 && Date.parse(day) - Date.parse(days[i - 1]) === DAY_MS ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+  const today = practiceDay(now.toISOString(), offsetMinutes);
+  const sinceLast = days.length ? (Date.parse(today) - Date.parse(days[days.length - 1])) / DAY_MS : Infinity;
+  return {
+    current: sinceLast <= 1 ? run : 0,
+    longest,
+    activeDays: days.length,
+    practicedToday: sinceLast === 0
+  };
+}
+
+function jobComparisonKey(session) {
+  if (session.applicationId) return `application:${session.applicationId}`;
+  const text = String(session.jobDescription || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  return text ? crypto.createHash('sha256').update(text).digest('hex').slice(0, 16) : null;
+}
+
+function jobComparisonTitle(session) {
+  const jd = session.profile?.jobDescription || {};
+  const firstLine = String(session.jobDescription || '').split('\n').map((line) => line.trim()).find(Boolean) || '';
+  return [jd.title, jd.company].filter(Boolean).join(' — ') || firstLine.slice(0, 80);
+}
+
+function compareJobSessions(sessions, applications) {
+  const groups = {};
+  sessions.forEach((session) => {
+    const key = jobComparisonKey(session);
+    if (key) (groups[key] ||= []).push(session);
+  });
+  const snapshot = (session) => ({
+    sessionId: session.id,
+    at: session.createdAt,
+    overallScore: session.overallScore,
+    categories: Object.fromEntries(rankSkills(session.analysis?.results || []).categories.map(({ category, averageScore }) => [category, averageScore]))
+  });
+  return Object.entries(groups)
+    .filter(([, group]) => group.length > 1)
+    .map(([key, group]) => {
+      const before = snapshot(group[0]);
+      const after = snapshot(group[group.length - 1]);
+      const application = applications.find((item) => item.id === group[0].applicationId);
+      return {
+        key,
+        title: application ? [application.company, application.role].filter(Boolean).join(' — ') : jobComparisonTitle(group[group.length - 1]),
+        sessions: group.length,
+        before,
+        after,
+        delta: after.overallScore - before.overallScore,
+        categories: Object.keys(after.categories)
+          .filter((category) => category in before.categories)
+          .map((category) => ({ category, before: before.categories[category], after: after.categories[category], delta: after.categories[category] - before.categories[category] }))
+      };
+    })
+    .sort((a, b) => b.after.at.localeCompare(a.after.at));
+}
+
+function buildProgressAnalytics(sessions, offsetMinutes = 0, applications = []) {
+  const ordered = [...sessions].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  const categories = {};
+  const criteria = {};
+  const languages = {};
+  ordered.forEach((session) => {
+    const point = (score) => ({ sessionId: session.id, at: session.createdAt, score });
+    const ranked = rankSkills(session.analysis?.results || []);
+    ranked.categories.forEach(({ category, averageScore }) => (categories[category] ||= []).push(point(averageScore)));
+    ranked.criteria.forEach(({ key, label, averageScore }) => (criteria[key] ||= { label, points: [] }).points.push(point(averageScore)));
+    (languages[session.language] ||= []).push(session.overallScore);
+  });
+  const average = (values) => Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+
+  return {
+    sessionCount: ordered.length,
+    overall: buildTrend(ordered.map((session) => ({ sessionId: session.id, at: session.createdAt, score: session.overallScore }))),
+    categories: Object.entries(categories)
+      .map(([category, points]) => ({ category, ...buildTrend(points) }))
+      .sort((a, b) => a.latest - b.latest),
+    criteria: Object.entries(criteria)
+      .map(([key, { label, points }]) => ({ key, label, ...buildTrend(points) }))
+      .sort((a, b) => a.latest - b.latest),
+    highlights: ordered.slice(-ANALYTICS_TREND_POINTS).map((session) => ({ sessionId: session.id, at: session.createdAt, ...sessionHighlightTotals(session) })),
+    languages: Object.entries(languages)
+      .map(([language, scores]) => ({ language, sessions: scores.length, averageScore: average(scores), bestScore: Math.max(...scores) }))
+      .sort((a, b) => b.sessions - a.sessions),
+    streak: computeStreaks(ordered, offsetMinutes),
+    jobComparisons: compareJobSessions(ordered, applications)
+  };
+}
+
+app.get('/api/analytics', requireUser, async (req, res) => {
+  try {
+    const offsetMinutes = Math.max(-840, Math.min(840, Number(req.query.timezoneOffset) || 0));
+    const { applicationId } = req.query;
+    const sessions = await store.list('interviewSessions', (s) => s.userId === req.user.id && (!applicationId || s.applicationId === applicationId));
+    if (!sessions.length) return res.json({ analytics: null });
+    const applications = await store.list('applications', (item) => item.userId === req.user.id);
+    res.json({ analytics: buildProgressAnalytics(sessions, offsetMinutes, applications) });
+  } catch (error) {
+    console.error('Analytics failed:', error);
+    res.status(500).json({ error: 'Failed to load progress analytics.' });
+  }
+});
+
+const APPLICATION_FIELDS = ['company', 'role', 'jobDescription', 'resume', 'notes'];
+
+function validateApplication(input = {}) {
+  const value = Object.fromEntries(APPLICATION_FIELDS.map((field) => [field, String(input[field] || '').trim()]));
+  if (!value.company && !value.role) return { ok: false, error: 'An application needs a company or a role.' };
+  const interviewDate = String(input.interviewDate || '').trim();
+  if (interviewDate && (!/^\d{4}-\d{2}-\d{2}$/.test(interviewDate) || Number.isNaN(Date.parse(interviewDate)))) {
+    return { ok: false, error: 'Interview date must be a YYYY-MM-DD date.' };
+  }
+  return { ok: true, value: { ...value, interviewDate } };
+}
+
+function toApplicationSummary(application, sessions) {
+  const attached = sessions
+    .filter((session) => session.applicationId === application.id)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  return {
+    id: application.id,
+    company: application.company,
+    role: application.role,
+    interviewDate: application.interviewDate,
+    notes: application.notes,
+    updatedAt: application.updatedAt,
+    sessionCount: attached.length,
+    latestScore: attached[0]?.overallScore ?? null,
+    bestScore: attached.length ? Math.max(...attached.map((session) => session.overallScore)) : null,
+    lastSessionAt: attached[0]?.createdAt || null
+  };
+}
+
+async function findOwnedApplication(id, userId) {
+  const application = id ? await store.get('applications', id) : null;
+  return application && application.userId === userId ? application : null;
+}
+
+app.get('/api/applications', requireUser, async (req, res) => {
+  try {
+    const applications = await store.list('applications', (item) => item.userId === req.user.id);
+    const sessions = await store.list('interviewSessions', (s) => s.userId === req.user.id);
+    applications.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    res.json({ applications: applications.map((item) => toApplicationSummary(item, sessions)) });
+  } catch (error) {
+    console.error('Application list failed:', error);
+    res.status(500).json({ error: 'Failed to load applications.' });
+  }
+});
+
+app.post('/api/applications', requireUser, async (req, res) => {
+  try {
+    const validated = validateApplication(req.body);
+    if (!validated.ok) return res.status(400).json({ error: validated.error });
+
+    const now = new Date().toISOString();
+    const application = await store.insert('applications', { ...validated.value, userId: req.user.id, createdAt: now, updatedAt: now });
+    res.status(201).json({ application });
+  } catch (error) {
+    console.error('Application create failed:', error);
+    res.status(500).json({ error: 'Failed to save application.' });
+  }
+});
+
+app.get('/api/applications/:id', requireUser, async (req, res) => {
+  try {
+    const application = await findOwnedApplication(req.params.id, req.user.id);
+    if (!application) return res.status(404).json({ error: 'Application not found.' });
+    const sessions = await store.list('interviewSessions', (s) => s.userId === req.user.id);
+    res.json({ application: { ...application, ...toApplicationSummary(application, sessions) } });
+  } catch (error) {
+    console.error('Application load failed:', error);
+    res.status(500).json({ error: 'Failed to load application.' });
+  }
+});
+
+app.put('/api/applications/:id', requireUser, async (req, res) => {
+  try {
+    const existing = await findOwnedApplication(req.params.id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Application not found.' });
+
+    const validated = validateApplication(req.body);
+    if (!validated.ok) return res.status(400).json({ error: validated.error });
+
+    const application = await store.update('applications', existing.id, { ...validated.value, updatedAt: new Date().toISOString() });
+    res.json({ application });
+  } catch (error) {
+    console.error('Application update failed:', error);
+    res.status(500).json({ error: 'Failed to update application.' });
+  }
+});
+
+app.delete('/api/applications/:id', requireUser, async (req, res) => {
+  try {
+    const removed = await store.remove('applications', (item) => item.id === req.params.id && item.userId === req.user.id);
+    if (!removed) return res.status(404).json({ error: 'Application not found.' });
+    const attached = await store.list('interviewSessions', (s) => s.userId === req.user.id && s.applicationId === req.params.id);
+    for (const session of attached) await store.update('interviewSessions', session.id, { applicationId: null });
+    res.json({ ok: true });
+  } catch (error) {
+    console.error('Application delete failed:', error);
+    res.status(500).json({ error: 'Failed to delete application.' });
+  }
+});
+
+const MAX_SET_QUESTIONS = 200;
+const QUESTION_SET_COLUMNS = ['category', 'question', 'modelAnswer', 'rubricNotes'];
+
+function validateQuestionSet(input = {}) {
+  const name = String(input.name || '').trim();
+  if (!name) return { ok: false, error: 'Question set name is required.' };
+  if (!Array.isArray(input.questions) || input.questions.length === 0) return { ok: false, error: 'A question set needs at least one question.' };
+  if (input.questions.length > MAX_SET_QUESTIONS) return { ok: false, error: `A question set can hold at most ${MAX_SET_QUESTIONS} questions.` };
+
+  const questions = [];
+  for (const [i, row] of input.questions.entries()) {
+    const category = QUESTION_CATEGORIES.find((c) => c.toLowerCase() === String(row?.category || '').trim().toLowerCase());
+    const question = String(row?.question || '').trim();
+    if (!category) return { ok: false, error: `Question ${i + 1}: category must be one of ${QUESTION_CATEGORIES.join(', ')}.` };
+    if (!question) return { ok: false, error: `Question ${i + 1}: question text is required.` };
+    questions.push({
+      category,
+      question,
+      modelAnswer: String(row.modelAnswer || '').trim(),
+      rubricNotes: String(row.rubricNotes || '').trim()
+    });
+  }
+
+  return {
+    ok: true,
+    value: {
+      name: name.slice(0, 120),
+      description: String(input.description || '').trim().slice(0, 500),
+      shared: Boolean(input.shared),
+      questions
+    }
+  };
+}
+
+function parseCsv(text = '') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const source = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i += 1) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else field += ch;
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+function toCsvCell(value = '') {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function questionSetToCsv(set) {
+  return [QUESTION_SET_COLUMNS, ...set.questions.map((q) => QUESTION_SET_COLUMNS.map((column) => q[column]))]
+    .map((cells) => cells.map(toCsvCell).join(','))
+    .join('\r\n');
+}
+
+function questionsFromCsv(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((cell) => cell.trim().replace(/[\s_-]+(\w)/g, (_, c) => c.toUpperCase()).replace(/^\w/, (c) => c.toLowerCase()));
+  if (!columns.includes('category') || !columns.includes('question')) return null;
+  return rows.map((cells) => columns.reduce((acc, column, i) => ({ ...acc, [column]: cells[i] || '' }), {}));
+}
+
+function toQuestionSetSummary(set, userId) {
+  return {
+    id: set.id,
+    name: set.name,
+    description: set.description,
+    shared: set.shared,
+    owned: set.userId === userId,
+    authorName: set.authorName,
+    questionCount: set.questions.length,
+    categories: QUESTION_CATEGORIES.reduce((acc, category) => ({ ...acc, [category]: set.questions.filter((q) => q.category === category).length }), {}),
+    updatedAt: set.updatedAt
+  };
+}
+
+async function findReadableSet(id, userId) {
+  const set = await store.get('questionSets', id);
+  return set && (set.userId === userId || set.shared) ? set : null;
+}
+
+app.get('/api/question-sets', requireUser, async (req, res) => {
+  try {
+    const sets = await store.list('questionSets', (set) => set.userId === req.user.id || set.shared);
+    sets.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    res.json({ sets: sets.map((set) => toQuestionSetSummary(set, req.user.id)) });
+  } catch (error) {
+    console.error('Question set list failed:', error);
+    res.status(500).json({ error: 'Failed to load question sets.' });
+  }
+});
+
+app.post('/api/question-sets', requireUser, async (req, res) => {
+  try {
+    const validated = validateQuestionSet(req.body);
+    if (!validated.ok) return res.status(400).json({ error: validated.error });
+
+    const now = new Date().toISOString();
+    const set = await store.insert('questionSets', { ...validated.value, userId: req.user.id, authorName: req.user.name, createdAt: now, updatedAt: now });
+    res.status(201).json({ set });
+  } catch (error) {
+    console.error('Question set create failed:', error);
+    res.status(500).json({ error: 'Failed to save question set.' });
+  }
+});
+
+app.post('/api/question-sets/import', requireUser, async (req, res) => {
+  try {
+    const { format, content, name } = req.body || {};
+    let input;
+    if (format === 'csv') {
+      const questions = questionsFromCsv(String(content || ''));
+      if (!questions) return res.status(400).json({ error: 'CSV must have a header row with at least "category" and "question" columns.' });
+      input = { name, questions };
+    } else if (format === 'json') {
+      try {
+        const parsed = JSON.parse(String(content || ''));
+        input = Array.isArray(parsed) ? { name, questions: parsed } : { ...parsed, name: name || parsed.name };
+      } catch {
+        return res.status(400).json({ error: 'The file is not valid JSON.' });
+      }
+    } else {
+      return res.status(400).json({ error: 'format must be "json" or "csv".' });
+    }
+
+    const validated = validateQuestionSet(input);
+    if (!validated.ok) return res.status(400).json({ error: validated.error });
+
+    const now = new Date().toISOString();
+    const set = await store.insert('questionSets', { ...validated.value, userId: req.user.id, authorName: req.user.name, createdAt: now, updatedAt: now });
+    res.status(201).json({ set });
+  } catch (error) {
+    console.error('Question set import failed:', error);
+    res.status(500).json({ error: 'Failed to import question set.' });
+  }
+});
+
+app.get('/api/question-sets/:id', requireUser, async (req, res) => {
+  try {
+    const set = await findReadableSet(req.params.id, req.user.id);
+    if (!set) return res.status(404).json({ error: 'Question set not found.' });
+    res.json({ set: { ...set, owned: set.userId === req.user.id } });
+  } catch (error) {
+    console.error('Question set load failed:', error);
+    res.status(500).json({ error: 'Failed to load question set.' });
+  }
+});
+
+app.get('/api/question-sets/:id/export', requireUser, async (req, res) => {
+  try {
+    const set = await findReadableSet(req.params.id, req.user.id);
+    if (!set) return res.status(404).json({ error: 'Question set not found.' });
+
+    const fileName = set.name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'question-set';
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+      return res.send(questionSetToCsv(set));
+    }
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.json"`);
+    res.json({ name: set.name, description: set.description, questions: set.questions });
+  } catch (error) {
+    console.error('Question set export failed:', error);
+    res.status(500).json({ error: 'Failed to export question set.' });
+  }
+});
+
+app.put('/api/question-sets/:id', requireUser, async (req, res) => {
+  try {
+    const existing = await store.get('questionSets', req.params.id);
+    if (!existing || existing.userId !== req.user.id) return res.status(404).json({ error: 'Question set not found.' });
+
+    const validated = validateQuestionSet(req.body);
+    if (!validated.ok) return res.status(400).json({ error: validated.error });
+
+    const set = await store.update('questionSets', existing.id, { ...validated.value, updatedAt: new Date().toISOString() });
+    res.json({ set });
+  } catch (error) {
+    console.error('Question set update failed:', error);
+    res.status(500).json({ error: 'Failed to update question set.' });
+  }
+});
+
+app.delete('/api/question-sets/:id', requireUser, async (req, res) => {
+  try {
+    const removed = await store.remove('questionSets', (set) => set.id === req.params.id && set.userId === req.user.id);
+    if (!removed) return res.status(404).json({ error: 'Question set not found.' });
+    res.json({ ok: true });
+  } catch (error) {
+    console.error('Question set delete failed:', error);
+    res.status(500).json({ error: 'Failed to delete question set.' });
+  }
+});
+
+app.get('/api/languages', (req, res) => {
+  const languages = Object.values(locales)
+    .sort((a, b) => (a.language === 'English' ? -1 : b.language === 'English' ? 1 : a.language.localeCompare(b.language)))
+    .map(({ language, nativeName, code }) => ({ language, nativeName, code, lexicon: Object.hasOwn(lexicons, language) }));
+  res.json({ languages });
+});
+
+app.get('/api/languages/:language/messages', (req, res) => {
+  const pack = Object.hasOwn(locales, req.params.language) ? locales[req.params.language] : null;
+  if (!pack) return res.status(404).json({ error: `No locale pack for "${req.params.language}".` });
+  res.json({ language: pack.language, code: pack.code, messages: { ...locales.English.ui, ...pack.ui } });
+});
+
+app.get('/api/lexicons/:language', (req, res) => {
+  const lexicon = Object.hasOwn(lexicons, req.params.language) ? lexicons[req.params.language] : null;
+  if (!lexicon) return res.status(404).json({ error: `No lexicon for "${req.params.language}".` });
+  const { patterns, ...words } = lexicon;
+  res.json(words);
+});
+
+app.get('/api/question-bank', async (req, res) => {
+  try {
+    const bank = await loadQuestionBank();
+    const { q, category, language, role, seniority, skill } = req.query;
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+    const offset = Math.max(0, Number(req.query.offset) || 0);
+    const matches = bank.filter((entry) => matchesBankQuery(entry, { q, category, language, role, seniority, skill }));
+    const facet = (key) => [...new Set(bank.flatMap((entry) => entry[key]))].sort();
+
+    res.json({
+      total: matches.length,
+      offset,
+      limit,
+      questions: matches.slice(offset, offset + limit),
+      facets: {
+        languages: facet('language'),
+        categories: facet('category'),
+        roles: facet('roles'),
+        seniority: BANK_SENIORITY,
+        skills: facet('skills')
+      }
+    });
+  } catch (error) {
+    console.error('Question bank search failed:', error);
+    res.status(500).json({ error: 'Failed to search the question bank.' });
+  }
+});
+
+app.post('/api/generate-questions', async (req, res) => {
+  try {
+    const { resume, jobDescription, profile, categories, focusAreas, language } = req.body;
+
+    if (((!resume || !jobDescription) && !profile) || !categories) {
+      return res.status(400).json({ error: 'Missing resume, jobDescription, or categories.' });
+    }
+
+    const bankContext = questionBankContext({ resume, jobDescription, profile });
+    if (!llm) {
+      return res.json({
+        questions: await generateFallbackQuestions(categories, normalizeLanguage(language), bankContext),
+        source: 'fallback',
+        warning: await questionBankWarning(language)
+      });
+    }
+
+    const categorySummary = Object.entries(categories)
+      .filter(([, count]) => Number(count) > 0)
+      .map(([category, count]) => `${category}: ${count}`)
+      .join(', ');
+
+    const outcome = await requestStructured('questions', [
+      {
+        role: 'system',
+        content:
+          'You are an expert interview coach. Return only valid JSON with this exact structure: {"questions":[{"category":"Behavioral|Technical|Situational|Motivational","question":"..."}]}. Do not include markdown or extra text. IMPORTANT: every question text must be in the requested language exactly.'
+      },
+      {
+        role: 'user',
+        content: `Create interview questions using the candidate resume and job description.\nCategory counts: ${categorySummary}\nRequired language: ${normalizeLanguage(language)}.\nAll question text must be in ${normalizeLanguage(language)}.\n${Array.isArray(focusAreas) && focusAreas.length ? `Focus most questions on these resume gaps, probing how the candidate would handle them or what related experience they have:\n${focusAreas.map((area) => `- ${area}`).join('\n')}\n` : ''}${describeCandidateContext({ resume, jobDescription, profile })}`
+      }
+    ], {
+      schema: outputSchemas.questions,
+      check: checkCategoryCounts(categories),
+      context: { categories, language: normalizeLanguage(language), bankContext }
+    });
+
+    if (!outcome.ok) {
+      return res.json({
+        questions: await generateFallbackQuestions(categories, normalizeLanguage(language), bankContext),
+        source: 'fallback',
+        warning: `Model questions failed validation after ${outcome.attempts} attempt(s) (${outcome.error}); fallback questions were used.`
+      });
+    }
+
+    const normalizedQuestions = await forceQuestionsLanguage(outcome.value.questions, language);
+    res.json({ questions: normalizedQuestions, source: llm.name, warning: outcome.warning });
+  } catch (error) {
+    console.error('Question generation failed:', error);
+    res.status(200).json({
+      questions: await generateFallbackQuestions(req.body?.categories, normalizeLanguage(req.body?.language), questionBankContext(req.body)),
+      source: 'fallback',
+      warning: 'Model question generation failed; fallback questions were used.'
+    });
+  }
+});
+
+app.post('/api/generate-follow-up', async (req, res) => {
+  try {
+    const { category, question, answer, language } = req.body;
+    if (!category || !question || !answer) return res.status(400).json({ error: 'Missing category, question, or answer.' });
+
+    if (!llm) {
+      return res.json({ followUpQuestion: getFallbackFollowUp(category, language), source: 'fallback' });
+    }
+
+    const outcome = await requestStructured('followUp', [
+      {
+        role: 'system',
+        content:
+          'You are an interviewer. Ask exactly one short follow-up question based on the candidate answer. Focus on missing detail, ownership, trade-offs, or measurable outcomes. Return only JSON: {"followUpQuestion":"..."}. IMPORTANT: followUpQuestion must be written in the requested language only.'
+      },
+      {
+        role: 'user',
+        content: `Category: ${category}\nRequired language: ${normalizeLanguage(language)}. Return the follow-up question in ${normalizeLanguage(language)}.\nOriginal question: ${question}\nCandidate answer: ${answer}`
+      }
+    ], {
+      schema: outputSchemas.followUp,
+      context: { category, language: normalizeLanguage(language) }
+    });
+
+    if (!outcome.ok) {
+      return res.json({
+        followUpQuestion: getFallbackFollowUp(category, language),
+        source: 'fallback',
+        warning: `Model follow-up failed validation after ${outcome.attempts} attempt(s) (${outcome.error}); a fallback follow-up was used.`
+      });
+    }
+    return res.json({ followUpQuestion: outcome.value.followUpQuestion, source: llm.name, warning: outcome.warning });
+  } catch (error) {
+    console.error('Follow-up generation failed:', error);
+    res.json({
+      followUpQuestion: getLocale(req.body?.language).followUpRetry,
+      source: 'fallback'
+    });
+  }
+});
+
+const CONVERSATION_MAX_PROBES = Math.max(0, Number(process.env.CONVERSATION_MAX_PROBES || 3));
+
+function formatDialogueForPrompt(dialogue) {
+  return dialogue.map((topic, i) => [
+    `Topic ${i + 1} (${topic.category}):`,
+    ...validExchanges(topic).map((exchange) => `${exchange.isProbe ? 'Interviewer (follow-up)' : 'Interviewer'}: ${exchange.question}\nCandidate: ${exchange.transcript || '(no answer)'}`)
+  ].join('\n')).join('\n\n');
 }
 
-const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY || 'missing-key' });
+function getFallbackTurn(topic, exchanges, { topicIndex, probesAsked, nextQuestion, role, language }) {
+  const lastAnswer = String(exchanges[exchanges.length - 1].transcript || '');
+  const { score } = evaluateTranscript(lastAnswer, { category: topic.category, role, language });
+  if (score < 60 && probesAsked < Math.min(2, CONVERSATION_MAX_PROBES)) {
+    return { action: 'probe', question: probesAsked === 0 ? getFallbackFollowUp(topic.category, language) : getLocale(language).followUpRetry };
+  }
+  return { action: 'move_on', transition: nextQuestion ? getFallbackTransition(language, topicIndex) : '' };
+}
+
+app.post('/api/interview-turn', async (req, res) => {
+  const { resume, jobDescription, profile, dialogue, nextQuestion, language } = req.body || {};
+  const topicIndex = Number(req.body?.topicIndex);
+  const topic = Array.isArray(dialogue) ? dialogue[topicIndex] : null;
+  const exchanges = validExchanges(topic);
+  if (exchanges.length === 0) return res.status(400).json({ error: 'Missing dialogue or current topic.' });
+
+  let fallback;
+  try {
+    const { role } = questionBankContext({ resume, jobDescription, profile });
+    const probesAsked = exchanges.filter((exchange) => exchange.isProbe).length;
+    if (probesAsked >= CONVERSATION_MAX_PROBES) {
+      return res.json({ action: 'move_on', transition: nextQuestion ? getFallbackTransition(language, topicIndex) : '', source: 'limit' });
+    }
+    fallback = getFallbackTurn(topic, exchanges, { topicIndex, probesAsked, nextQuestion, role, language });
+    if (!llm) return res.json({ ...fallback, source: 'fallback' });
+
+    const outcome = await requestStructured('interviewTurn', [
+      {
+        role: 'system',
+        content:
+          'You are a professional interviewer running a live, conversational interview. You keep the whole conversation in mind: the candidate background, the job, and every earlier answer. After each candidate answer decide whether to probe the current topic further (missing detail, personal ownership, trade-offs, measurable outcomes, or claims that do not match the resume or earlier answers) or to move on once the topic is covered well enough. Never repeat a question that was already asked. Return only JSON: {"action":"probe","question":"..."} with one short follow-up question, or {"action":"move_on","transition":"..."} with one short, natural sentence acknowledging the answer and leading into the next planned question (do not ask the next question yourself). IMPORTANT: question and transition must be written in the requested language only.'
+      },
+      {
+        role: 'user',
+        content: `Required language: ${normalizeLanguage(language)}.\n${describeCandidateContext({ resume, jobDescription, profile })}\n\nConversation so far:\n${formatDialogueForPrompt(dialogue.slice(0, topicIndex + 1))}\n\nCurrent topic: ${topicIndex + 1} (${topic.category}). Follow-ups asked on this topic: ${probesAsked} of at most ${CONVERSATION_MAX_PROBES}.\n${nextQuestion ? `Next planned question: ${nextQuestion}` : 'This is the last planned topic; when moving on, leave transition empty.'}`
+      }
+    ], {
+      schema: outputSchemas.interviewTurn,
+      check: (value) => (value.action === 'probe' && !String(value.question || '').trim() ? '$.question is required when action is "probe"' : null),
+      context: { fallback }
+    });
+
+    if (!outcome.ok) {
+      return res.json({
+        ...fallback,
+        source: 'fallback',
+        warning: `Model interviewer failed validation after ${outcome.attempts} attempt(s) (${outcome.error}); a fallback turn was used.`
+      });
+    }
+    const { action, question, transition } = outcome.value;
+    const turn = action === 'probe' ? { action, question: question.trim() } : { action, transition: nextQuestion ? String(transition || '').trim() : '' };
+    res.json({ ...turn, source: llm.name, warning: outcome.warning });
+  } catch (error) {
+    console.error('Interview turn failed:', error);
+    if (!fallback) return res.status(500).json({ error: 'Failed to continue the interview.' });
+    res.json({ ...fallback, source: 'fallback', warning: 'Model interviewer failed; a fallback turn was used.' });
+  }
+});
+
+function tidyTranscript(transcript, language) {
+  const { patterns } = getLexicon(language);
+  return String(transcript)
+    .replace(patterns.filler, '')
+    .replace(/\s+([,.!?;:])/g, '$1')
+    .replace(/([,;:])(?:\s*[,;:])+/g, '$1')
+    .replace(/(^|[.!?]\s+),\s*/g, '$1')
+    .replace(/\s{2,}/g, ' ')
+    .trim()
+    .replace(/(^|[.!?]\s+)(\p{Ll})/gu, (match, lead, letter) => lead + letter.toUpperCase());
+}
+
+function findUnsupportedDetails(text, facts) {
+  const known = facts.toLowerCase().replace(/\s+/g, '');
+  const numbers = String(text).match(/\d+(?:[.,]\d+)?\s?%?/g) || [];
+  return [...new Set(numbers.map((number) => number.replace(/\s+/g, '')))].filter((number) => !known.includes(number.toLowerCase()));
+}
+
+app.post('/api/answer-rewrite', async (req, res) => {
+  const { resume, jobDescription, profile, category, question, transcript, modelAnswer, rubricNotes, language } = req.body || {};
+  if (!question || !String(transcript || '').trim()) return res.status(400).json({ error: 'Missing question or transcript.' });
+
+  const selected = normalizeLanguage(language);
+  const { role } = questionBankContext({ resume, jobDescription, profile });
+  const facts = [transcript, resume || '', profile?.resume ? JSON.stringify(profile.resume) : ''].join('\n');
+  const fallback = { rewrite: tidyTranscript(transcript, selected) || String(transcript).trim(), referenceAnswer: modelAnswer || '', inventedDetails: [] };
+  const respond = (value, extra) => res.json({
+    rewrite: value.rewrite.trim(),
+    referenceAnswer: value.referenceAnswer.trim(),
+    inventedDetails: [...new Set([...value.inventedDetails, ...findUnsupportedDetails(value.rewrite, facts)])],
+    ...extra
+  });
+  if (!llm) return respond(fallback, { source: 'fallback' });
+
+  try {
+    const rubric = selectRubric(category, role);
+    const outcome = await requestStructured('rewrite', [
+      {
+        role: 'system',
+        content:
+          'You are an expert interview coach. Rewrite the answer of the candidate into a stronger version in their own voice: clear structure, ownership, and a concrete result, following the scoring rubric. Use ONLY facts found in the answer or the resume; never invent employers, tools, numbers or outcomes. Where the answer lacks a detail it needs, insert a short bracketed placeholder such as [metric] instead of making one up. List in inventedDetails every detail of the rewrite that the answer and resume do not support (normally none). Also write referenceAnswer: an exemplary answer to the question that a strong candidate for this role could give, grounded in the resume where possible. If the interview coach supplied a modelAnswer, base referenceAnswer on it. Return only JSON: {"rewrite": string, "referenceAnswer": string, "inventedDetails": [string]}. IMPORTANT: rewrite and referenceAnswer must be written in the requested language only.'
+      },
+      {
+        role: 'user',
+        content: `Required language: ${selected}.\n${describeCandidateContext({ resume, jobDescription, profile })}\n\nScoring rubric (${rubric.name}):\n${formatRubricForPrompt(rubric)}\n\nCategory: ${category || 'General'}\nQuestion: ${question}\nCandidate answer: ${transcript}${modelAnswer ? `\nCoach model answer: ${modelAnswer}` : ''}${rubricNotes ? `\nCoach rubric notes: ${rubricNotes}` : ''}`
+      }
+    ], {
+      schema: outputSchemas.rewrite,
+      context: { fallback }
+    });
+
+    if (!outcome.ok) {
+      return respond(fallback, {
+        source: 'fallback',
+        warning: `Model rewrite failed validation after ${outcome.attempts} attempt(s) (${outcome.error}); only filler words were removed.`
+      });
+    }
+    respond(outcome.value, { source: llm.name, warning: outcome.warning });
+  } catch (error) {
+    console.error('Answer rewrite failed:', error);
+    respond(fallback, { source: 'fallback', warning: 'Model rewrite failed; only filler words were removed.' });
+  }
+});
+
+const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+const documentUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_DOCUMENT_BYTES, files: 1 } });
+const SECTION_HEADINGS = [
+  'summary', 'professional summary', 'profile', 'objective', 'experience', 'work experience', 'professional experience',
+  'employment history', 'education', 'skills', 'technical skills', 'core competencies', 'projects', 'certifications',
+  'awards', 'publications', 'languages', 'interests', 'volunteering', 'responsibilities', 'requirements',
+  'qualifications', 'preferred qualifications', 'minimum qualifications', 'nice to have', 'must have', 'about you',
+  'about the role', 'about us', 'what you will do', "what you'll do", 'benefits'
+];
+
+function decodeHtmlEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', bull: '•', ndash: '–', mdash: '—', hellip: '…' };
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&([a-z]+);/gi, (match, name) => named[name.toLowerCase()] ?? match);
+}
+
+function htmlToText(html = '') {
+  const text = String(html)
+    .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<h[1-6][^>]*>([\s\S]*?)<\/h[1-6]>/gi, (_, inner) => `\n\n## ${inner.replace(/<[^>]+>/g, '').trim()}\n`)
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|section|article|ul|ol|tr|table|header|footer)>/gi, '\n')
+    .replace(/<(td|th)[^>]*>/gi, ' ')
+    .replace(/<[^>]+>/g, '');
+  return decodeHtmlEntities(text);
+}
+
+const RTF_SKIPPED_GROUPS = ['fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'header', 'footer', 'listtable', 'listoverridetable'];
+
+function stripRtfGroups(rtf) {
+  let output = '';
+  let i = 0;
+  while (i < rtf.length) {
+    if (rtf[i] === '{') {
+      const head = rtf.slice(i + 1, i + 24).match(/^\\(\*|[a-z]+)/i);
+      if (head && (head[1] === '*' || RTF_SKIPPED_GROUPS.includes(head[1]))) {
+        let depth = 0;
+        do {
+          if (rtf[i] === '\\') i += 1;
+          else if (rtf[i] === '{') depth += 1;
+          else if (rtf[i] === '}') depth -= 1;
+          i += 1;
+        } while (depth > 0 && i < rtf.length);
+        continue;
+      }
+    }
+    output += rtf[i];
+    i += 1;
+  }
+  return output;
+}
+
+function rtfToText(rtf = '') {
+  return stripRtfGroups(String(rtf))
+    .replace(/\\'([0-9a-f]{2})/gi, (_, hex) => Buffer.from([parseInt(hex, 16)]).toString('latin1'))
+    .replace(/\\u(-?\d+)\??/g, (_, code) => String.fromCharCode(Number(code) < 0 ? Number(code) + 65536 : Number(code)))
+    .replace(/\\bullet ?/g, '• ')
+    .replace(/\\(par|line|sect|page)d?\b ?/g, '\n')
+    .replace(/\\tab\b ?/g, '\t')
+    .replace(/\\[a-z]+-?\d* ?/gi, '')
+    .replace(/\\([{}\\])/g, '$1')
+    .replace(/[{}]/g, '');
+}
+
+function normalizeExtractedText(raw = '') {
+  const lines = String(raw).replace(/\r\n?/g, '\n').split('\n').map((line) => line.replace(/[ \t\u00a0]+/g, ' ').trim());
+  const output = [];
+
+  lines.forEach((line) => {
+    if (!line) {
+      if (output.length && output[output.length - 1] !== '') output.push('');
+      return;
+    }
+    const bullet = line.match(/^(?:[•●▪◦■□►▸‣⁃∙·]\s*|[*–-]\s+)(.+)$/);
+    if (bullet) {
+      output.push(`- ${bullet[1]}`);
+      return;
+    }
+    const bare = line.replace(/^#+\s*/, '').replace(/:$/, '');
+    const isHeading = line.startsWith('## ')
+      || SECTION_HEADINGS.includes(bare.toLowerCase())
+      || (bare.length >= 4 && bare.length <= 40 && /\p{Lu}{3}/u.test(bare) && bare === bare.toUpperCase() && !/[.,;|]/.test(bare));
+    if (isHeading) {
+      if (output.length && output[output.length - 1] !== '') output.push('');
+      output.push(`## ${bare}`);
+      return;
+    }
+    output.push(line);
+  });
+
+  return output.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function detectDocumentFormat(file) {
+  const name = String(file.originalname || '').toLowerCase();
+  const type = String(file.mimetype || '').toLowerCase();
+  if (name.endsWith('.pdf') || type === 'application/pdf') return 'pdf';
+  if (name.endsWith('.docx') || type.includes('wordprocessingml')) return 'docx';
+  if (name.endsWith('.doc') || type === 'application/msword') return 'doc';
+  if (name.endsWith('.rtf') || type.includes('rtf')) return 'rtf';
+  if (/\.html?$/.test(name) || type === 'text/html') return 'html';
+  if (/\.(txt|md)$/.test(name) || type.startsWith('text/')) return 'text';
+  return null;
+}
+
+async function extractDocumentText(file) {
+  const format = detectDocumentFormat(file);
+  const warnings = [];
+  let raw = '';
+  let pages;
+
+  if (format === 'pdf') {
+    const parsed = await pdfParse(file.buffer);
+    raw = parsed.text;
+    pages = parsed.numpages;
+    const charsPerPage = raw.replace(/\s+/g, '').length / Math.max(1, pages);
+    if (pages > 0 && charsPerPage < 40) {
+      warnings.push('This PDF has little or no selectable text and looks scanned. Paste the text manually or run it through OCR first.');
+    }
+  } else if (format === 'docx') {
+    const converted = await mammoth.convertToHtml({ buffer: file.buffer });
+    raw = htmlToText(converted.value);
+    if (converted.messages.some((m) => m.type === 'error')) warnings.push('Some parts of this DOCX could not be read; check the extracted text.');
+  } else if (format === 'rtf') {
+    raw = rtfToText(file.buffer.toString('latin1'));
+  } else if (format === 'html') {
+    raw = htmlToText(file.buffer.toString('utf8'));
+  } else if (format === 'text') {
+    raw = file.buffer.toString('utf8');
+  }
+
+  const text = normalizeExtractedText(raw);
+  if (!text) warnings.push('No text could be extracted from this document. Please paste the text manually.');
+  else if (text.split(/\s+/).length < 30) warnings.push('Very little text was extracted; check that the document is complete.');
+
+  return { text, format, pages, warnings };
+}
+
+function acceptUpload(uploader, field, tooLargeError) {
+  return (req, res, next) => {
+    uploader.single(field)(req, res, (error) => {
+      if (error?.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: tooLargeError });
+      if (error instanceof multer.MulterError) return res.status(400).json({ error: `Upload exactly one file in the "${field}" field.` });
+      next(error);
+    });
+  };
+}
+
+const acceptDocument = acceptUpload(documentUpload, 'file', 'File is too large (max 10 MB).');
+
+app.post('/api/extract-text', acceptDocument, async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'A file is required.' });
+
+    const format = detectDocumentFormat(req.file);
+    if (format === 'doc') return res.status(415).json({ error: 'Legacy .doc files are not supported. Save it as .docx or PDF and try again.' });
+    if (!format) return res.status(415).json({ error: 'Unsupported file type. Use .pdf, .docx, .rtf, .html, .txt, or .md.' });
+
+    res.json(await extractDocumentText(req.file));
+  } catch (error) {
+    console.error('Text extraction failed:', error);
+    res.status(422).json({ error: 'Could not read this file. It may be corrupted or password-protected; paste the text manually.' });
+  }
+});
+
+const KNOWN_SKILLS = [
+  'JavaScript', 'TypeScript', 'Node.js', 'React', 'Angular', 'Vue', 'Python', 'Java', 'Kotlin', 'Swift', 'Go', 'Rust',
+  'C#', 'C++', '.NET', 'Ruby', 'PHP', 'Scala', 'SQL', 'PostgreSQL', 'MySQL', 'MongoDB', 'Redis', 'Kafka', 'GraphQL',
+  'REST', 'AWS', 'Azure', 'GCP', 'Docker', 'Kubernetes', 'Terraform', 'CI/CD', 'Linux', 'Git', 'Microservices',
+  'System Design', 'Machine Learning', 'Deep Learning', 'NLP', 'Data Analysis', 'Tableau', 'Power BI', 'Excel',
+  'Spark', 'Airflow', 'dbt', 'Snowflake', 'Figma', 'UX Research', 'Agile', 'Scrum', 'Kanban', 'Jira',
+  'Product Management', 'Roadmapping', 'A/B Testing', 'Stakeholder Management', 'Project Management',
+  'Salesforce', 'HubSpot', 'CRM', 'Negotiation', 'Account Management', 'Lead Generation', 'SEO', 'SEM',
+  'Content Marketing', 'Copywriting', 'Budgeting', 'Forecasting', 'Financial Modeling', 'Leadership', 'Mentoring',
+  'Communication', 'Public Speaking', 'Customer Success', 'Security', 'Testing', 'Cypress', 'Selenium'
+];
+const MONTH_PATTERN = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE_RANGE = new RegExp(`((?:${MONTH_PATTERN}\\s+)?(?:\\d{1,2}/)?\\d{4})\\s*(?:-|–|—|to)\\s*((?:${MONTH_PATTERN}\\s+)?(?:\\d{1,2}/)?\\d{4}|present|current|now|today)`, 'i');
+const METRIC_PATTERN = /(?:[$€£]\s?\d[\d,.]*\s?(?:k|m|bn|million|billion)?|\d[\d,.]*\s?(?:%|x\b|k\b|m\b|ms\b|hours?\b|days?\b|weeks?\b|months?\b|users\b|customers\b|people\b|engineers\b|clients\b|accounts\b))/gi;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function findKnownSkills(text = '') {
+  return KNOWN_SKILLS.filter((skill) => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(skill)}(?=$|[^\\p{L}\\p{N}])`, 'iu').test(text));
+}
+
+function splitSections(text = '') {
+  const sections = [{ heading: '', lines: [] }];
+  normalizeExtractedText(text).split('\n').forEach((line) => {
+    if (line.startsWith('## ')) sections.push({ heading: line.slice(3).toLowerCase(), lines: [] });
+    else if (line) sections[sections.length - 1].lines.push(line);
+  });
+  return sections;
+}
+
+function splitRoleLine(line) {
+  const withoutDates = line.replace(DATE_RANGE, '').replace(/[()|,–—-]+\s*$/, '').replace(/\s*[|,–—-]\s*$/, '').trim();
+  const separators = [/\s+at\s+/i, /\s*@\s*/, /\s*\|\s*/, /\s+[–—-]\s+/, /,\s*/];
+  for (const separator of separators) {
+    const parts = withoutDates.split(separator).map((part) => part.trim()).filter(Boolean);
+    if (parts.length >= 2) return { title: parts[0], employer: parts[1] };
+  }
+  return { title: withoutDates, employer: '' };
+}
+
+function toAchievement(text) {
+  return { text, metrics: text.match(METRIC_PATTERN)?.map((m) => m.trim()) || [] };
+}
+
+function parseResumeLocally(resume = '') {
+  const sections = splitSections(resume);
+  const roles = [];
+  const skills = new Set(findKnownSkills(resume));
+  const education = [];
+
+  sections.forEach(({ heading, lines }) => {
+    if (/skill|competenc|technolog|tools/.test(heading)) {
+      lines.forEach((line) => line.replace(/^- /, '').split(/[,;|•]/).map((item) => item.replace(/^[^:]{0,25}:\s*/, '').trim())
+        .filter((item) => item && item.length <= 40)
+        .forEach((item) => skills.add(item)));
+      return;
+    }
+    if (/education|degree|academic/.test(heading)) {
+      education.push(...lines.map((line) => line.replace(/^- /, '')));
+      return;
+    }
+
+    let current = null;
+    lines.forEach((line, i) => {
+      const isBullet = line.startsWith('- ');
+      const dates = line.match(DATE_RANGE);
+      if (!isBullet && dates) {
+        const { title, employer } = splitRoleLine(line);
+        const previous = lines[i - 1];
+        const role = { title, employer, startDate: dates[1], endDate: dates[2], achievements: [] };
+        if (!title && previous && !previous.startsWith('- ')) Object.assign(role, splitRoleLine(previous));
+        roles.push(role);
+        current = role;
+        return;
+      }
+      if (isBullet && current) current.achievements.push(toAchievement(line.slice(2)));
+    });
+  });
+
+  const firstLines = sections[0].lines;
+  return {
+    name: firstLines[0] && firstLines[0].split(/\s+/).length <= 5 && !/@|\d/.test(firstLines[0]) ? firstLines[0] : '',
+    headline: roles[0]?.title || '',
+    roles,
+    skills: [...skills].slice(0, 40),
+    education
+  };
+}
+
+function detectSeniority(text = '') {
+  const lower = text.toLowerCase();
+  if (/\b(vp|vice president|director|head of|chief)\b/.test(lower)) return 'executive';
+  if (/\b(principal|staff|lead|manager)\b/.test(lower)) return 'lead';
+  if (/\b(senior|sr\.?)\b/.test(lower)) return 'senior';
+  if (/\b(intern|internship|trainee)\b/.test(lower)) return 'intern';
+  if (/\b(junior|jr\.?|entry[- ]level|graduate)\b/.test(lower)) return 'junior';
+  const years = lower.match(/(\d+)\+?\s*(?:-\s*\d+\s*)?years?/);
+  if (!years) return 'unspecified';
+  const n = Number(years[1]);
+  if (n < 2) return 'junior';
+  if (n < 5) return 'mid';
+  if (n < 8) return 'senior';
+  return 'lead';
+}
+
+function parseJobDescriptionLocally(jobDescription = '') {
+  const sections = splitSections(jobDescription);
+  const mustHaves = [];
+  const niceToHaves = [];
+  const responsibilities = [];
+  const niceSignal = /\b(nice to have|preferred|bonus|a plus|is a plus|ideally|desirable)\b/i;
+
+  sections.forEach(({ heading, lines }) => {
+    const items = lines.filter((line) => line.startsWith('- ')).map((line) => line.slice(2));
+    const listed = items.length ? items : lines;
+    if (/nice|prefer|bonus|plus|desirable/.test(heading)) niceToHaves.push(...listed);
+    else if (/require|must|qualif|you bring|about you|what we.*look|skills|experience/.test(heading)) {
+      listed.forEach((item) => (niceSignal.test(item) ? niceToHaves : mustHaves).push(item));
+    } else if (/responsib|you.?ll do|you will do|the role|day to day|duties/.test(heading)) responsibilities.push(...listed);
+    else items.forEach((item) => {
+      if (niceSignal.test(item)) niceToHaves.push(item);
+      else if (/\b(must|required|requirement|\d+\+?\s*years|experience (with|in)|proficien|degree)\b/i.test(item)) mustHaves.push(item);
+      else responsibilities.push(item);
+    });
+  });
+
+  const firstLine = sections.flatMap((section) => section.lines)[0] || '';
+  const titleLine = jobDescription.match(/^(?:job title|title|position|role)\s*:\s*(.+)$/im)?.[1] || (firstLine.length <= 80 ? firstLine : '');
+  const company = jobDescription.match(/^(?:company|employer)\s*:\s*(.+)$/im)?.[1]
+    || jobDescription.match(/\b(?:at|join)\s+([A-Z][\w&.-]*(?:\s+[A-Z][\w&.-]*){0,3})/)?.[1]
+    || '';
+
+  return {
+    title: titleLine.replace(/^- /, '').trim(),
+    company: company.trim(),
+    seniority: detectSeniority(`${titleLine}\n${jobDescription}`),
+    mustHaves,
+    niceToHaves,
+    responsibilities,
+    skills: findKnownSkills(jobDescription)
+  };
+}
+
+function parseProfileLocally(resume = '', jobDescription = '') {
+  return { resume: parseResumeLocally(resume), jobDescription: parseJobDescriptionLocally(jobDescription) };
+}
+
+function formatProfileForPrompt(profile) {
+  const { resume = {}, jobDescription = {} } = profile || {};
+  const roles = (resume.roles || []).map((role) => {
+    const dates = [role.startDate, role.endDate].filter(Boolean).join(' – ');
+    const achievements = (role.achievements || []).map((a) => {
+      const metrics = a.metrics?.length ? a.metrics : String(a.text || '').match(METRIC_PATTERN) || [];
+      return `    - ${a.text}${metrics.length ? ` [metrics: ${metrics.join(', ')}]` : ''}`;
+    }).join('\n');
+    return `  - ${role.title || 'Role'}${role.employer ? ` at ${role.employer}` : ''}${dates ? ` (${dates})` : ''}${achievements ? `\n${achievements}` : ''}`;
+  }).join('\n');
+  const list = (items = []) => (items.length ? items.map((item) => `  - ${item}`).join('\n') : '  - (none listed)');
+
+  return `Candidate profile:\n${resume.name ? `Name: ${resume.name}\n` : ''}${resume.headline ? `Headline: ${resume.headline}\n` : ''}Roles:\n${roles || '  - (none listed)'}\nSkills: ${(resume.skills || []).join(', ') || '(none listed)'}\nEducation:\n${list(resume.education)}\n\nJob requirements:\nTitle: ${jobDescription.title || 'unspecified'}\nCompany: ${jobDescription.company || 'unspecified'}\nSeniority: ${jobDescription.seniority || 'unspecified'}\nMust-haves:\n${list(jobDescription.mustHaves)}\nNice-to-haves:\n${list(jobDescription.niceToHaves)}\nResponsibilities:\n${list(jobDescription.responsibilities)}\nSkills: ${(jobDescription.skills || []).join(', ') || '(none listed)'}`;
+}
+
+function describeCandidateContext({ resume, jobDescription, profile }) {
+  return profile ? formatProfileForPrompt(profile) : `Resume:\n${resume}\n\nJob Description:\n${jobDescription}`;
+}
+
+app.post('/api/parse-profile', async (req, res) => {
+  try {
+    const { resume, jobDescription } = req.body || {};
+    if (!resume || !jobDescription) return res.status(400).json({ error: 'Missing resume or jobDescription.' });
+
+    const local = parseProfileLocally(resume, jobDescription);
+    if (!llm) return res.json({ profile: local, source: 'fallback' });
+
+    const outcome = await requestStructured('profile', [
+      {
+        role: 'system',
+        content:
+          `You extract structured data from a resume and a job description. Return only JSON: {"resume":{"name":string,"headline":string,"roles":[{"title":string,"employer":string,"startDate":string,"endDate":string,"achievements":[{"text":string,"metrics":[string]}]}],"skills":[string],"education":[string]},"jobDescription":{"title":string,"company":string,"seniority":"${SENIORITY_LEVELS.join('|')}","mustHaves":[string],"niceToHaves":[string],"responsibilities":[string],"skills":[string]}}. Only use facts present in the text; use empty strings or arrays when unknown. metrics lists the quantified figures quoted from each achievement.`
+      },
+      { role: 'user', content: `Resume:\n${resume}\n\nJob Description:\n${jobDescription}` }
+    ], {
+      schema: outputSchemas.profile,
+      context: { resume, jobDescription }
+    });
+
+    if (!outcome.ok) {
+      return res.json({
+        profile: local,
+        source: 'fallback',
+        warning: `Model profile parsing failed validation after ${outcome.attempts} attempt(s) (${outcome.error}); local parsing was used.`
+      });
+    }
+    res.json({ profile: outcome.value, source: llm.name, warning: outcome.warning });
+  } catch (error) {
+    console.error('Profile parsing failed:', error);
+    res.json({
+      profile: parseProfileLocally(req.body?.resume, req.body?.jobDescription),
+      source: 'fallback',
+      warning: 'Model profile parsing failed; local parsing was used.'
+    });
+  }
+});
+
+const GAP_STOPWORDS = new Set([
+  'and', 'the', 'with', 'for', 'from', 'that', 'this', 'have', 'has', 'will', 'your', 'you', 'our', 'are', 'strong',
+  'experience', 'years', 'year', 'knowledge', 'ability', 'skills', 'skill', 'working', 'work', 'good', 'excellent',
+  'understanding', 'plus', 'preferred', 'required', 'must', 'nice', 'bonus', 'including', 'such', 'other', 'using',
+  'least', 'proven', 'track', 'record', 'familiarity', 'familiar', 'solid', 'deep', 'hands', 'great', 'etc'
+]);
+const BEHAVIORAL_SIGNALS = /\b(lead|leadership|mentor|coach|communicat|stakeholder|collaborat|team|influence|present|negotiat|conflict|ownership|cross-functional)/i;
+const ACTION_VERBS = /\b(led|built|designed|implemented|created|owned|shipped|launched|delivered|migrated|optimized|improved|reduced|increased|managed|mentored|architected|drove|scaled)\b/i;
+
+function requirementKeywords(requirement) {
+  const skills = findKnownSkills(requirement);
+  if (skills.length) return skills;
+  return [...new Set(String(requirement).toLowerCase().match(/[\p{L}][\p{L}\p{N}+#./-]{2,}/gu) || [])]
+    .filter((word) => !GAP_STOPWORDS.has(word))
+    .slice(0, 4);
+}
+
+function suggestGapCategory(requirement) {
+  if (findKnownSkills(requirement).length && !BEHAVIORAL_SIGNALS.test(requirement)) return 'Technical';
+  if (BEHAVIORAL_SIGNALS.test(requirement)) return 'Behavioral';
+  return /\b(technical|engineering|system|architecture|data|code|software|platform|api)\b/i.test(requirement) ? 'Technical' : 'Situational';
+}
+
+function resumeEvidenceLines(resume, profile) {
+  if (resume) return normalizeExtractedText(resume).split('\n').filter((line) => line && !line.startsWith('## '));
+  const parsedResume = profile?.resume || {};
+  return [
+    ...(parsedResume.roles || []).flatMap((role) => [`${role.title} ${role.employer}`, ...(role.achievements || []).map((a) => `- ${a.text}`)]),
+    (parsedResume.skills || []).join(', ')
+  ].filter(Boolean);
+}
+
+function analyzeGapsLocally({ resume, jobDescription, profile }) {
+  const parsed = profile || parseProfileLocally(resume, jobDescription);
+  const jd = parsed.jobDescription || {};
+  const lines = resumeEvidenceLines(resume, parsed);
+  const resumeLower = lines.join('\n').toLowerCase();
+
+  let requirements = [
+    ...(jd.mustHaves || []).map((requirement) => ({ requirement, type: 'must' })),
+    ...(jd.niceToHaves || []).map((requirement) => ({ requirement, type: 'nice' }))
+  ];
+  if (!requirements.length) requirements = (jd.skills || []).map((requirement) => ({ requirement, type: 'must' }));
+
+  const assessed = requirements.map(({ requirement, type }) => {
+    const keywords = requirementKeywords(requirement);
+    const matches = keywords.map((keyword) => {
+      const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(keyword.toLowerCase())}(?=$|[^\\p{L}\\p{N}])`, 'u');
+      const hitLines = lines.filter((line) => pattern.test(line.toLowerCase()));
+      const strong = hitLines.find((line) => line.startsWith('- ') && (ACTION_VERBS.test(line) || Boolean(line.match(METRIC_PATTERN))));
+      return { keyword, hitLines, strong };
+    });
+    const matched = matches.filter((m) => m.hitLines.length);
+    const strongMatches = matches.filter((m) => m.strong);
+
+    let status = 'missing';
+    if (keywords.length && strongMatches.length === keywords.length) status = 'covered';
+    else if (matched.length) status = 'weak';
+
+    const evidenceLine = strongMatches[0]?.strong || matched[0]?.hitLines[0] || '';
+    const missingKeywords = matches.filter((m) => !m.hitLines.length).map((m) => m.keyword);
+    const reasoning = status === 'covered'
+      ? 'Backed by a concrete achievement in the resume.'
+      : status === 'weak'
+        ? `Mentioned${missingKeywords.length ? `, but ${missingKeywords.join(', ')} not found` : ' without a concrete achievement or metric'}.`
+        : `No mention of ${keywords.join(', ') || 'this requirement'} in the resume.`;
+
+    return {
+      requirement,
+      type,
+      status,
+      evidence: evidenceLine.replace(/^- /, '').slice(0, 200),
+      reasoning,
+      category: suggestGapCategory(requirement)
+    };
+  });
+
+  const weights = { must: 2, nice: 1 };
+  const credit = { covered: 1, weak: 0.5, missing: 0 };
+  const totalWeight = assessed.reduce((sum, item) => sum + weights[item.type], 0);
+  const coverage = totalWeight
+    ? Math.round((assessed.reduce((sum, item) => sum + weights[item.type] * credit[item.status], 0) / totalWeight) * 100)
+    : 100;
+  const missingSkills = (jd.skills || []).filter((skill) => !resumeLower.includes(skill.toLowerCase()));
+  const openMust = assessed.filter((item) => item.type === 'must' && item.status !== 'covered').length;
+
+  return {
+    coverage,
+    summary: assessed.length
+      ? `Resume covers about ${coverage}% of the job requirements; ${openMust} must-have(s) are missing or weakly evidenced.`
+      : 'No explicit requirements were found in the job description.',
+    requirements: assessed,
+    missingSkills
+  };
+}
+
+app.post('/api/gap-analysis', async (req, res) => {
+  try {
+    const { resume, jobDescription, profile, language } = req.body || {};
+    if ((!resume || !jobDescription) && !profile) return res.status(400).json({ error: 'Missing resume or jobDescription.' });
+
+    const localReport = analyzeGapsLocally({ resume, jobDescription, profile });
+    if (!llm) return res.json({ report: localReport, source: 'fallback' });
+
+    const outcome = await requestStructured('gapAnalysis', [
+      {
+        role: 'system',
+        content:
+          `You are a recruiter comparing a candidate resume against a job description. For every requirement, decide whether the resume covers it with concrete evidence (covered), mentions it without convincing evidence (weak), or does not address it (missing). Consider synonyms, transferable experience and seniority, not just keywords. Return only JSON: {"coverage":number 0-100,"summary":string,"requirements":[{"requirement":string,"type":"must|nice","status":"${GAP_STATUSES.join('|')}","evidence":string quoted from the resume or "","reasoning":string,"category":"${QUESTION_CATEGORIES.join('|')}"}],"missingSkills":[string]}. category is the interview question type best suited to probe that requirement. IMPORTANT: summary and reasoning must be in the requested language.`
+      },
+      {
+        role: 'user',
+        content: `Required language: ${normalizeLanguage(language)}.\n${describeCandidateContext({ resume, jobDescription, profile })}\n\nKeyword-based pre-assessment (may be wrong):\n${JSON.stringify(localReport.requirements.map(({ requirement, type, status }) => ({ requirement, type, status })), null, 2)}`
+      }
+    ], {
+      schema: outputSchemas.gapAnalysis,
+      context: { localReport }
+    });
+
+    if (!outcome.ok) {
+      return res.json({
+        report: localReport,
+        source: 'fallback',
+        warning: `Model gap analysis failed validation after ${outcome.attempts} attempt(s) (${outcome.error}); keyword matching was used.`
+      });
+    }
+    res.json({ report: { missingSkills: localReport.missingSkills, ...outcome.value }, source: llm.name, warning: outcome.warning });
+  } catch (error) {
+    console.error('Gap analysis failed:', error);
+    res.json({
+      report: analyzeGapsLocally(req.body || {}),
+      source: 'fallback',
+      warning: 'Model gap analysis failed; keyword matching was used.'
+    });
+  }
+});
 
-app.use(express.static('public'));
-app.use(express.json({ limit: '4mb' }));
+const STT_UNAVAILABLE = 'No speech-to-text backend is configured (set OPENAI_API_KEY or STT_PROVIDER). Transcription unavailable; type your answer manually.';
 
-function normalizeLanguage(language = 'English') {
-  const allowed = ['English', 'Dutch', 'French', 'Romanian', 'Russian'];
-  return allowed.includes(language) ? language : 'English';
+function transcriptionLanguageCode(language) {
+  return language ? getLocale(language).code : '';
 }
 
-function getFallbackQuestion(language, category, i) {
-  const templates = {
-    English: {
-      Behavioral: 'Tell me about a time you handled a team conflict successfully.',
-      Technical: 'Describe a technical challenge you solved and your exact approach.',
-      Situational: 'How would you respond if priorities changed right before a deadline?',
-      Motivational: 'Why are you interested in this role and this company?'
-    },
-    Dutch: {
-      Behavioral: 'Vertel over een moment waarop je een teamconflict succesvol oploste.',
-      Technical: 'Beschrijf een technisch probleem dat je hebt opgelost en je aanpak.',
-      Situational: 'Hoe zou je reageren als prioriteiten vlak voor een deadline veranderen?',
-      Motivational: 'Waarom ben je geïnteresseerd in deze rol en dit bedrijf?'
-    },
-    French: {
-      Behavioral: "Parlez-moi d'une situation où vous avez résolu un conflit d'équipe avec succès.",
-      Technical: 'Décrivez un défi technique que vous avez résolu et votre approche précise.',
-      Situational: 'Comment réagiriez-vous si les priorités changeaient juste avant une échéance ?',
-      Motivational: "Pourquoi êtes-vous intéressé(e) par ce poste et cette entreprise ?"
-    },
-    Romanian: {
-      Behavioral: 'Povestește despre o situație în care ai rezolvat cu succes un conflict în echipă.',
-      Technical: 'Descrie o provocare tehnică pe care ai rezolvat-o și abordarea ta.',
-      Situational: 'Cum ai reacționa dacă prioritățile se schimbă chiar înainte de termen?',
-      Motivational: 'De ce ești interesat(ă) de acest rol și de această companie?'
-    },
-    Russian: {
-      Behavioral: 'Расскажите о случае, когда вы успешно разрешили конфликт в команде.',
-      Technical: 'Опишите техническую задачу, которую вы решили, и ваш подход.',
-      Situational: 'Как бы вы отреагировали, если приоритеты изменятся прямо перед дедлайном?',
-      Motivational: 'Почему вас интересуют эта роль и эта компания?'
+const MAX_AUDIO_BYTES = 25 * 1024 * 1024;
+const audioUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_AUDIO_BYTES, files: 1 } });
+const acceptAudio = acceptUpload(audioUpload, 'audio', 'Recording is too large (max 25 MB).');
+
+app.post('/api/transcribe', requireUser, acceptAudio, async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'Audio file is required.' });
+    if (!stt) return res.status(400).json({ error: STT_UNAVAILABLE });
+    if (!detectAudioFormat(req.file.originalname, req.file.mimetype)) {
+      return res.status(400).json({ error: `Unsupported audio format. Use ${Object.keys(AUDIO_FORMATS).join(', ')}.` });
     }
-  };
 
-  const bank = templates[normalizeLanguage(language)] || templates.English;
-  const variants = [
-    bank[category] || bank.Behavioral,
-    `${bank[category] || bank.Behavioral} ${normalizeLanguage(language) === 'English' ? 'Please include specific actions and outcomes.' : ''}`,
-    `${bank[category] || bank.Behavioral} ${normalizeLanguage(language) === 'English' ? 'Use a clear STAR structure.' : ''}`
-  ];
-  return variants[i % variants.length];
+    const { text, words = [] } = await stt.transcribe({
+      buffer: req.file.buffer,
+      filename: req.file.originalname,
+      mimetype: req.file.mimetype,
+      languageCode: transcriptionLanguageCode(req.body?.language)
+    });
+    res.json({ transcript: text, words, source: stt.name });
+  } catch (error) {
+    console.error('Transcription failed:', error);
+    res.status(500).json({ error: 'Failed to transcribe audio.' });
+  }
+});
+
+const TTS_CACHE_DIR = process.env.TTS_CACHE_DIR ? path.resolve(process.env.TTS_CACHE_DIR) : path.join(DATA_DIR, 'tts-cache');
+const TTS_MAX_CHARS = 1200;
+const TTS_CACHE_MAX_FILES = Math.max(1, Number(process.env.TTS_CACHE_MAX_FILES) || 500);
+let ttsCacheSweep = null;
+
+async function sweepTtsCache() {
+  const names = await fs.readdir(TTS_CACHE_DIR);
+  if (names.length <= TTS_CACHE_MAX_FILES) return;
+  const files = await Promise.all(names.map(async (name) => {
+    const file = path.join(TTS_CACHE_DIR, name);
+    const stat = await fs.stat(file).catch(() => null);
+    return { file, usedAt: stat ? stat.mtimeMs : 0 };
+  }));
+  files.sort((a, b) => a.usedAt - b.usedAt);
+  await Promise.all(files.slice(0, files.length - TTS_CACHE_MAX_FILES).map(({ file }) => fs.rm(file, { force: true })));
 }
 
-function generateFallbackQuestions(categories = {}, language = 'English') {
-  const questions = [];
-  Object.entries(categories).forEach(([category, count]) => {
-    const wanted = Math.max(0, Number(count) || 0);
-    for (let i = 0; i < wanted; i += 1) {
-      questions.push({ category, question: getFallbackQuestion(language, category, i) });
+function scheduleTtsCacheSweep() {
+  ttsCacheSweep ||= sweepTtsCache()
+    .catch((error) => console.warn('TTS cache sweep failed:', error?.message || error))
+    .finally(() => {
+      ttsCacheSweep = null;
+    });
+}
+
+app.post('/api/speak', requireUser, async (req, res) => {
+  const text = String(req.body?.text || '').trim();
+  if (!text) return res.status(400).json({ error: 'Text is required.' });
+  if (text.length > TTS_MAX_CHARS) return res.status(400).json({ error: `Text must be at most ${TTS_MAX_CHARS} characters.` });
+  if (!tts) return res.status(501).json({ error: 'No text-to-speech backend is configured (set OPENAI_API_KEY or TTS_PROVIDER); use the browser voice instead.' });
+
+  const language = normalizeLanguage(req.body?.language);
+  const key = crypto.createHash('sha256').update([tts.name, TTS_MODEL, TTS_VOICE, language, text].join('\n')).digest('hex');
+  const file = path.join(TTS_CACHE_DIR, `${key}.${tts.format}`);
+  try {
+    let audio = await fs.readFile(file).catch(() => null);
+    const cached = Boolean(audio);
+    if (cached) {
+      const now = new Date();
+      fs.utimes(file, now, now).catch(() => {});
+    } else {
+      audio = await tts.synthesize({ text, language });
+      await fs.mkdir(TTS_CACHE_DIR, { recursive: true });
+      await fs.writeFile(file, audio);
+      scheduleTtsCacheSweep();
     }
+    res.set({ 'Content-Type': tts.contentType, 'Cache-Control': 'private, max-age=86400', 'X-TTS-Cache': cached ? 'hit' : 'miss' });
+    res.send(audio);
+  } catch (error) {
+    console.error('Speech synthesis failed:', error);
+    res.status(500).json({ error: 'Failed to synthesize speech.' });
+  }
+});
+
+const STT_PARTIAL_INTERVAL_MS = Math.max(0, Number(process.env.STT_PARTIAL_INTERVAL_MS || 2000));
+const STT_PARTIAL_MIN_GROWTH = Math.max(0, Number(process.env.STT_PARTIAL_MIN_GROWTH || 0.5));
+const STT_PARTIAL_MAX_BYTES = Math.max(0, Number(process.env.STT_PARTIAL_MAX_BYTES || 4 * 1024 * 1024));
+const TRANSCRIPTION_STREAM_TTL_MS = 10 * 60 * 1000;
+const TRANSCRIPTION_STREAM_LIMIT = 50;
+const TRANSCRIPTION_STREAMS_PER_USER = 2;
+const transcriptionStreams = new Map();
+
+setInterval(() => {
+  const cutoff = Date.now() - TRANSCRIPTION_STREAM_TTL_MS;
+  transcriptionStreams.forEach((stream, id) => {
+    if (stream.touchedAt < cutoff) transcriptionStreams.delete(id);
   });
+}, 60 * 1000).unref();
 
-  return questions;
+function getTranscriptionStream(req, res) {
+  const stream = transcriptionStreams.get(req.params.id);
+  if (!stream || stream.userId !== req.user.id) {
+    res.status(404).json({ error: 'Transcription stream not found or expired.' });
+    return null;
+  }
+  stream.touchedAt = Date.now();
+  return stream;
 }
 
+async function refreshStreamTranscript(stream, { force = false } = {}) {
+  if (stream.pending) await stream.pending.catch(() => {});
+  if (stream.transcribedBytes === stream.bytes) return stream.partial;
+  if (!force) {
+    if (stream.bytes > STT_PARTIAL_MAX_BYTES) return stream.partial;
+    if (Date.now() - stream.transcribedAt < STT_PARTIAL_INTERVAL_MS) return stream.partial;
+    if (stream.bytes - stream.transcribedBytes < stream.transcribedBytes * STT_PARTIAL_MIN_GROWTH) return stream.partial;
+  }
 
-function looksLikeLanguage(text = '', language = 'English') {
-  const lower = String(text).toLowerCase();
-  if (!lower.trim()) return false;
-
-  const languageSignals = {
-    English: [' the ', ' and ', ' with ', ' your ', ' about ', ' tell me '],
-    Dutch: [' de ', ' het ', ' een ', ' je ', ' jouw ', ' wat ', ' waarom '],
-    French: [' le ', ' la ', ' les ', ' des ', ' avec ', ' pourquoi ', ' vous '],
-    Romanian: [' și ', ' este ', ' care ', ' pentru ', ' cum ', ' de ce ', ' într-'],
-    Russian: [' как ', ' что ', ' это ', ' для ', ' почему ', ' вы ', ' когда ']
-  };
+  const bytes = stream.bytes;
+  stream.pending = stt.transcribe({
+    buffer: Buffer.concat(stream.chunks),
+    filename: `answer.${detectAudioFormat('', stream.mimetype) || 'webm'}`,
+    mimetype: stream.mimetype,
+    languageCode: stream.languageCode
+  }).then(({ text, words = [] }) => {
+    stream.partial = text;
+    stream.words = words;
+    stream.transcribedBytes = bytes;
+  }).finally(() => {
+    stream.transcribedAt = Date.now();
+    stream.pending = null;
+  });
+  await stream.pending;
+  return stream.partial;
+}
 
-  const selected = normalizeLanguage(language);
-  const selectedHits = (languageSignals[selected] || []).reduce((sum, token) => sum + (lower.includes(token) ? 1 : 0), 0);
-  const englishHits = (languageSignals.English || []).reduce((sum, token) => sum + (lower.includes(token) ? 1 : 0), 0);
+app.post('/api/transcription-streams', requireUser, (req, res) => {
+  if (!stt) return res.status(400).json({ error: STT_UNAVAILABLE });
+  const own = [...transcriptionStreams.values()].filter((stream) => stream.userId === req.user.id);
+  own.slice(0, Math.max(0, own.length - TRANSCRIPTION_STREAMS_PER_USER + 1)).forEach((stream) => transcriptionStreams.delete(stream.id));
+  if (transcriptionStreams.size >= TRANSCRIPTION_STREAM_LIMIT) {
+    return res.status(503).json({ error: 'Too many live transcriptions in progress. Try again shortly.' });
+  }
+  const { language, mimeType } = req.body || {};
+  const id = crypto.randomUUID();
+  transcriptionStreams.set(id, {
+    id,
+    userId: req.user.id,
+    languageCode: transcriptionLanguageCode(language),
+    mimetype: typeof mimeType === 'string' && mimeType.startsWith('audio/') ? mimeType : 'audio/webm',
+    chunks: [],
+    bytes: 0,
+    nextSeq: 0,
+    partial: '',
+    words: [],
+    transcribedBytes: 0,
+    transcribedAt: 0,
+    pending: null,
+    touchedAt: Date.now()
+  });
+  res.status(201).json({ id, source: stt.name, partialIntervalMs: STT_PARTIAL_INTERVAL_MS });
+});
 
-  if (selected === 'English') return englishHits >= 1;
-  return selectedHits >= 1 && selectedHits >= englishHits;
-}
+app.post('/api/transcription-streams/:id/chunks', requireUser, acceptAudio, async (req, res) => {
+  const stream = getTranscriptionStream(req, res);
+  if (!stream) return;
+  if (!req.file?.buffer?.length) return res.status(400).json({ error: 'Audio chunk is required.' });
+  const seq = Number(req.body?.seq);
+  if (seq !== stream.nextSeq) {
+    return res.status(409).json({ error: `Expected chunk ${stream.nextSeq}, received ${req.body?.seq}.` });
+  }
+  if (stream.bytes + req.file.buffer.length > MAX_AUDIO_BYTES) {
+    return res.status(413).json({ error: 'Recording is too long for live transcription.' });
+  }
 
-async function translateSingleQuestion(questionObj, language, index = 0) {
-  const selected = normalizeLanguage(language);
-  if (selected === 'English' || !hasApiKey) return questionObj;
+  stream.chunks.push(req.file.buffer);
+  stream.bytes += req.file.buffer.length;
+  stream.nextSeq += 1;
 
   try {
-    const response = await client.responses.create({
-      model: 'gpt-4.1-mini',
-      input: [
-        {
-          role: 'system',
-          content:
-            'Translate the provided interview question into the requested language. Keep meaning and difficulty. Return ONLY JSON: {"category":"Behavioral|Technical|Situational|Motivational","question":"..."}. The question must be entirely in the requested language.'
-        },
-        {
-          role: 'user',
-          content: `Requested language: ${selected}. Category: ${questionObj.category}. Source question: ${questionObj.question}`
-        }
-      ]
-    });
+    const partial = await refreshStreamTranscript(stream);
+    res.json({ partial, seq });
+  } catch (error) {
+    console.warn('Partial transcription failed:', error?.message || error);
+    res.json({ partial: stream.partial, seq, warning: 'Live transcript is temporarily behind.' });
+  }
+});
 
-    const parsed = JSON.parse(response.output_text);
-    if (parsed?.question && looksLikeLanguage(parsed.question, selected)) {
-      return { category: questionObj.category, question: parsed.question };
-    }
+app.post('/api/transcription-streams/:id/finish', requireUser, async (req, res) => {
+  const stream = getTranscriptionStream(req, res);
+  if (!stream) return;
+  try {
+    const transcript = stream.bytes ? await refreshStreamTranscript(stream, { force: true }) : '';
+    transcriptionStreams.delete(stream.id);
+    res.json({ transcript, words: stream.words, source: stt.name });
   } catch (error) {
-    console.warn('Single-question translation failed:', error?.message || error);
+    console.error('Transcription failed:', error);
+    res.status(500).json({ error: 'Failed to transcribe audio.' });
   }
+});
+
+app.delete('/api/transcription-streams/:id', requireUser, (req, res) => {
+  const stream = getTranscriptionStream(req, res);
+  if (!stream) return;
+  transcriptionStreams.delete(stream.id);
+  res.json({ ok: true });
+});
+
+function makeNextStepPlan(results = [], timeManagement) {
+  const weak = results
+    .slice()
+    .sort((a, b) => a.score - b.score)
+    .slice(0, 3)
+    .map((item) => item.category);
+  if (weak.length === 0) return 'Continue regular practice with timed simulations and concise STAR answers.';
+  const plan = `Next-step plan: run 2 focused drills on ${[...new Set(weak)].join(', ')} and include one metric + one trade-off in every answer.`;
+  const timePressure = timeManagement?.overBudgetSeconds > 0 || results.some((item) => item.timing?.penalty > 0);
+  return timePressure ? `${plan} Repeat them in timed mode until every answer fits its limit.` : plan;
+}
+
+function getFallbackFollowUp(category = 'Behavioral', language = 'English') {
+  return getLocale(language).followUp.replace('{category}', String(category).toLowerCase());
+}
+
+function getFallbackTransition(language, index = 0) {
+  const { transitions } = getLocale(language);
+  const pool = transitions.length ? transitions : locales.English.transitions;
+  return pool.length ? pool[index % pool.length] : '';
+}
+
+function fillTemplate(template, params = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (Object.hasOwn(params, key) ? String(params[key]) : match));
+}
+
+function getTimeTip(language, key, params) {
+  return fillTemplate(getLocale(language).timeTips[key] || locales.English.timeTips[key] || '', params);
+}
+
+function toSeconds(value) {
+  const number = Number(value);
+  return value !== null && value !== '' && Number.isFinite(number) && number >= 0 ? Math.round(number) : null;
+}
+
+function assessAnswerTiming(timing, language) {
+  if (!timing || typeof timing !== 'object') return null;
+  const thinkingSeconds = toSeconds(timing.thinkingSeconds);
+  const timeToStartSeconds = toSeconds(timing.timeToStartSeconds);
+  const answerSeconds = toSeconds(timing.answerSeconds);
+  const limitSeconds = toSeconds(timing.limitSeconds);
+  const startOverrunSeconds = thinkingSeconds !== null && timeToStartSeconds !== null ? Math.max(0, timeToStartSeconds - thinkingSeconds) : 0;
+  const answerOverrunSeconds = limitSeconds && answerSeconds !== null ? Math.max(0, answerSeconds - limitSeconds) : 0;
+  const autoStopped = Boolean(timing.autoStopped);
+
+  const tips = [];
+  if (autoStopped) tips.push(getTimeTip(language, 'cutOff', { limit: limitSeconds }));
+  if (answerOverrunSeconds) tips.push(getTimeTip(language, 'answerOverrun', { seconds: answerOverrunSeconds, limit: limitSeconds }));
+  if (startOverrunSeconds) tips.push(getTimeTip(language, 'startOverrun', { seconds: startOverrunSeconds }));
+  const penalty = Math.min(12, (autoStopped ? 6 : 0) + Math.ceil(answerOverrunSeconds / 15) * 2 + Math.ceil(startOverrunSeconds / 10) * 2);
 
   return {
-    category: questionObj.category,
-    question: getFallbackQuestion(selected, questionObj.category, index)
+    summary: { thinkingSeconds, timeToStartSeconds, answerSeconds, limitSeconds, startOverrunSeconds, answerOverrunSeconds, autoStopped, penalty },
+    tips: tips.filter(Boolean)
   };
 }
 
-async function forceQuestionsLanguage(questions = [], language = 'English') {
-  const selected = normalizeLanguage(language);
-  if (!Array.isArray(questions) || questions.length === 0 || selected === 'English' || !hasApiKey) {
-    return questions;
-  }
+function applyTimeManagement(result, qa, language) {
+  const assessed = assessAnswerTiming(qa.timing, language);
+  if (!assessed) return result;
+  return {
+    ...result,
+    score: Math.max(18, result.score - assessed.summary.penalty),
+    improvementTips: [...assessed.tips, ...(result.improvementTips || [])],
+    timing: assessed.summary
+  };
+}
 
-  const mismatched = questions.some((q) => !looksLikeLanguage(q?.question || '', selected));
-  if (!mismatched) return questions;
+function summarizeInterviewTiming(interviewTiming) {
+  if (!interviewTiming || typeof interviewTiming !== 'object') return undefined;
+  const budgetSeconds = toSeconds(interviewTiming.budgetSeconds);
+  const elapsedSeconds = toSeconds(interviewTiming.elapsedSeconds);
+  if (!budgetSeconds || elapsedSeconds === null) return undefined;
+  return {
+    budgetSeconds,
+    elapsedSeconds,
+    overBudgetSeconds: Math.max(0, elapsedSeconds - budgetSeconds),
+    skippedQuestions: toSeconds(interviewTiming.skippedQuestions) || 0
+  };
+}
 
-  let rewritten = questions;
-  try {
-    const response = await client.responses.create({
-      model: 'gpt-4.1-mini',
-      input: [
-        {
-          role: 'system',
-          content:
-            'Rewrite interview questions to the requested language. Keep intent and difficulty unchanged. Return ONLY JSON as {"questions":[{"category":"Behavioral|Technical|Situational|Motivational","question":"..."}]}. Every question must be entirely in the requested language.'
-        },
-        {
-          role: 'user',
-          content: `Requested language: ${selected}. Rewrite these questions and return same count and categories:
-${JSON.stringify(questions)}`
-        }
-      ]
+function validExchanges(topic) {
+  return topic && typeof topic === 'object' && Array.isArray(topic.exchanges)
+    ? topic.exchanges.filter((exchange) => exchange && typeof exchange === 'object' && !Array.isArray(exchange))
+    : [];
+}
+
+function dialogueToQaPairs(dialogue) {
+  return dialogue
+    .map((topic) => ({ topic, valid: validExchanges(topic) }))
+    .filter(({ valid }) => valid.length > 0)
+    .map(({ topic, valid }) => {
+      const exchanges = valid.map((exchange) => ({
+        question: String(exchange.question || ''),
+        transcript: String(exchange.transcript || ''),
+        isProbe: Boolean(exchange.isProbe)
+      }));
+      const words = [];
+      const volumeLevels = [];
+      let offset = 0;
+      valid.forEach((exchange) => {
+        (Array.isArray(exchange.words) ? exchange.words : []).forEach((word) => {
+          if (word && typeof word === 'object') words.push({ ...word, start: Number(word.start) + offset, end: Number(word.end) + offset });
+        });
+        if (Array.isArray(exchange.volumeLevels)) volumeLevels.push(...exchange.volumeLevels);
+        offset += Number(exchange.recordedSeconds) || 0;
+      });
+      return {
+        category: String(topic.category || ''),
+        question: String(topic.question || exchanges[0].question),
+        transcript: exchanges.map((exchange) => exchange.transcript).filter(Boolean).join('\n\n'),
+        words: words.length ? words : undefined,
+        recordedSeconds: offset || undefined,
+        volumeLevels: volumeLevels.length ? volumeLevels : undefined,
+        timing: valid[0].timing,
+        drillOf: topic.drillOf,
+        modelAnswer: topic.modelAnswer ? String(topic.modelAnswer) : undefined,
+        rubricNotes: topic.rubricNotes ? String(topic.rubricNotes) : undefined,
+        exchanges: exchanges.length > 1 ? exchanges : undefined
+      };
     });
+}
 
-    const parsed = JSON.parse(response.output_text);
-    if (Array.isArray(parsed.questions) && parsed.questions.length === questions.length) {
-      rewritten = parsed.questions;
-    }
-  } catch (error) {
-    console.warn('Batch language rewrite failed:', error?.message || error);
-  }
+function resolveQaPairs({ qaPairs, dialogue } = {}) {
+  return Array.isArray(dialogue) ? dialogueToQaPairs(dialogue) : qaPairs;
+}
 
-  const normalized = [];
-  for (let i = 0; i < rewritten.length; i += 1) {
-    const q = rewritten[i];
-    if (looksLikeLanguage(q?.question || '', selected)) {
-      normalized.push(q);
-      continue;
-    }
-    const translated = await translateSingleQuestion(q, selected, i);
-    normalized.push(translated);
-  }
+const QA_TEXT_FIELDS = ['category', 'question', 'transcript', 'modelAnswer', 'rubricNotes'];
 
-  return normalized;
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
 }
 
-function extractHighlights(transcript = '') {
-  const lower = transcript.toLowerCase();
-  const metricMatch = transcript.match(/\b\d+(?:\.\d+)?\s?(?:%|ms|sec|seconds|minutes|hours|days|weeks|months|users|customers|tickets|bugs|k|m)\b/gi) || [];
-  const ownershipMatch = transcript.match(/\b(i led|i built|i designed|i implemented|i created|i owned|i fixed|i improved|my team and i)\b/gi) || [];
-  const outcomeMatch = transcript.match(/\b(result|outcome|impact|increased|reduced|saved|launched|delivered|improved)\b/gi) || [];
-  const fillerMatch = transcript.match(/\b(um|uh|like|you know|basically|kind of|sort of)\b/gi) || [];
-  const vagueMatch = transcript.match(/\b(stuff|things|somehow|maybe|probably|etc)\b/gi) || [];
+function normalizeQaPairs(qaPairs) {
+  if (!Array.isArray(qaPairs) || qaPairs.length === 0) return null;
+  const valid = qaPairs.every((qa) => isPlainObject(qa) && QA_TEXT_FIELDS.every((field) => qa[field] == null || typeof qa[field] === 'string'));
+  if (!valid) return null;
+  return qaPairs.map((qa) => ({
+    ...qa,
+    category: qa.category || '',
+    question: qa.question || '',
+    transcript: qa.transcript || '',
+    drillOf: isPlainObject(qa.drillOf) ? qa.drillOf : undefined
+  }));
+}
 
+function readInterviewInput(body) {
+  if (!isPlainObject(body)) return { ok: false, error: 'Missing required interview data.' };
+  const { resume, jobDescription, profile, language, interviewTiming, drillBaseline } = body;
+  if ([resume, jobDescription].some((text) => text != null && typeof text !== 'string') || (profile != null && !isPlainObject(profile))) {
+    return { ok: false, error: 'resume and jobDescription must be text and profile must be an object.' };
+  }
+  if ((!resume || !jobDescription) && !profile) return { ok: false, error: 'Missing required interview data.' };
+  const qaPairs = normalizeQaPairs(resolveQaPairs(body));
+  if (!qaPairs) return { ok: false, error: 'qaPairs or dialogue must hold at least one answer with text question and transcript fields.' };
   return {
-    strongPatterns: [...new Set([...metricMatch, ...ownershipMatch, ...outcomeMatch])].slice(0, 10),
-    weakPatterns: [...new Set([...fillerMatch, ...vagueMatch])].slice(0, 10),
-    metricsCount: metricMatch.length,
-    ownershipCount: ownershipMatch.length,
-    fillerCount: fillerMatch.length
+    ok: true,
+    value: {
+      resume,
+      jobDescription,
+      profile,
+      language,
+      qaPairs,
+      drillBaseline,
+      timeManagement: summarizeInterviewTiming(interviewTiming),
+      role: questionBankContext({ resume, jobDescription, profile }).role
+    }
   };
 }
 
-function evaluateTranscript(transcript = '') {
-  const text = transcript.trim();
-  const words = text.split(/\s+/).filter(Boolean);
-  const wordCount = words.length;
-  const lower = text.toLowerCase();
+function applyPreviousAttempt(result, qa) {
+  const previousScore = Number(qa.drillOf?.score);
+  if (!qa.drillOf || !Number.isFinite(previousScore)) return result;
+  return {
+    ...result,
+    previousAttempt: { question: String(qa.drillOf.question || ''), score: previousScore, delta: result.score - previousScore }
+  };
+}
 
-  const hasSituation = /(situation|context|when|at the time|project)/.test(lower);
-  const hasTask = /(task|goal|objective|responsible)/.test(lower);
-  const hasAction = /(i did|i built|i led|implemented|designed|debugged|created|improved|migrated|optimized)/.test(lower);
-  const hasResult = /(result|outcome|impact|improved|reduced|increased|saved|delivered|launched)/.test(lower);
-  const hasMetric = /(\d+%|\d+\s*(ms|sec|seconds|minutes|hours|days|weeks|months|users|customers|tickets|bugs|k|m))/i.test(text);
-  const fillerCount = (lower.match(/\b(um|uh|like|you know|basically|kind of|sort of)\b/g) || []).length;
-
-  const rubricBreakdown = {
-    StructureSTAR: 0,
-    OwnershipAndAction: 0,
-    ResultsAndImpact: 0,
-    MetricsSpecificity: 0,
-    ClarityAndConciseness: 0
-  };
-
-  rubricBreakdown.StructureSTAR += hasSituation ? 12 : 4;
-  rubricBreakdown.StructureSTAR += hasTask ? 8 : 2;
-  rubricBreakdown.OwnershipAndAction += hasAction ? 22 : 8;
-  rubricBreakdown.ResultsAndImpact += hasResult ? 22 : 8;
-  rubricBreakdown.MetricsSpecificity += hasMetric ? 18 : 4;
-  rubricBreakdown.ClarityAndConciseness += Math.max(6, 20 - Math.min(10, fillerCount * 2));
-
-  if (wordCount < 35) rubricBreakdown.ClarityAndConciseness -= 6;
-  if (wordCount > 260) rubricBreakdown.ClarityAndConciseness -= 4;
-
-  let score = Object.values(rubricBreakdown).reduce((sum, n) => sum + n, 0);
-  score = Math.max(18, Math.min(94, Math.round(score)));
-
-  const improvementTips = [];
-  if (!hasSituation || !hasTask) improvementTips.push('Open with situation + goal so the interviewer has context.');
-  if (!hasAction) improvementTips.push('Emphasize specific actions you personally took, not just team outcomes.');
-  if (!hasResult) improvementTips.push('Close with outcomes and what changed because of your work.');
-  if (!hasMetric) improvementTips.push('Add concrete metrics (%, time saved, quality improvements) to strengthen credibility.');
-  if (wordCount < 50) improvementTips.push('Expand your answer with more detail and structure (STAR format).');
-  if (fillerCount > 3) improvementTips.push('Reduce filler words to improve confidence and executive presence.');
-  if (improvementTips.length === 0) improvementTips.push('Strong baseline. Tighten pacing and keep impact statements crisp.');
+function rankSkills(results) {
+  const categories = {};
+  const criteria = {};
+  results.forEach((result) => {
+    if (!result || !Number.isFinite(Number(result.score))) return;
+    (categories[result.category] ||= []).push(Number(result.score));
+    (result.rubric?.criteria || []).forEach(({ key, label, weight }) => {
+      const points = Number(result.rubricBreakdown?.[key]);
+      if (!weight || !Number.isFinite(points)) return;
+      (criteria[key] ||= { key, label, ratios: [] }).ratios.push(points / weight);
+    });
+  });
+  const average = (values) => Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+  return {
+    categories: Object.entries(categories)
+      .map(([category, scores]) => ({ category, averageScore: average(scores), count: scores.length }))
+      .sort((a, b) => a.averageScore - b.averageScore),
+    criteria: Object.values(criteria)
+      .map(({ key, label, ratios }) => ({ key, label, averageScore: average(ratios.map((ratio) => ratio * 100)) }))
+      .sort((a, b) => a.averageScore - b.averageScore)
+  };
+}
 
-  let feedback = 'Good baseline answer, but there is room to improve structure and impact clarity.';
-  if (score >= 75) feedback = 'Strong answer with good structure and clear impact. Tighten phrasing for maximum confidence.';
-  else if (score < 50) feedback = 'Answer needs more structure and specificity. Use STAR and add measurable outcomes.';
+function compareDrillBaseline(results, baseline) {
+  if (!baseline || typeof baseline !== 'object') return undefined;
+  const current = rankSkills(results);
+  const compare = (skill, label, previous, score) => ({ skill, label, previous, current: score, delta: score - previous });
+  return {
+    categories: current.categories
+      .filter(({ category }) => Number.isFinite(Number(baseline.categories?.[category])))
+      .map(({ category, averageScore }) => compare(category, category, Number(baseline.categories[category]), averageScore)),
+    criteria: current.criteria
+      .filter(({ key }) => Number.isFinite(Number(baseline.criteria?.[key]?.score)))
+      .map(({ key, label, averageScore }) => compare(key, label, Number(baseline.criteria[key].score), averageScore))
+  };
+}
+
+function getFallbackOverallFeedback(language, overallScore) {
+  const { overallFeedback } = getLocale(language);
+  return overallScore >= 75 ? overallFeedback.strong : overallFeedback.weak;
+}
 
-  const scoreExplanation = `Score reflects STAR structure (${rubricBreakdown.StructureSTAR}/20), ownership/actions (${rubricBreakdown.OwnershipAndAction}/22), outcomes (${rubricBreakdown.ResultsAndImpact}/22), metrics (${rubricBreakdown.MetricsSpecificity}/18), and clarity (${rubricBreakdown.ClarityAndConciseness}/20).`;
+function buildFallbackAnalysis(qaPairs, language, role, timeManagement, drillBaseline) {
+  const results = qaPairs.map((qa) => {
+    const evaluated = evaluateTranscript(qa.transcript || '', { category: qa.category, role, language });
+    return applyPreviousAttempt(applyTimeManagement({
+      category: qa.category,
+      question: qa.question,
+      transcript: qa.transcript,
+      score: evaluated.score,
+      feedback: evaluated.feedback,
+      improvementTips: evaluated.improvementTips,
+      rubric: evaluated.rubric,
+      rubricBreakdown: evaluated.rubricBreakdown,
+      scoreExplanation: evaluated.scoreExplanation,
+      highlights: evaluated.highlights,
+      delivery: computeDeliveryMetrics(qa, language),
+      modelAnswer: qa.modelAnswer || undefined,
+      exchanges: qa.exchanges
+    }, qa, language), qa);
+  });
 
+  const overallScore = Math.round(results.reduce((sum, item) => sum + item.score, 0) / results.length);
   return {
-    score,
-    feedback,
-    improvementTips,
-    rubricBreakdown,
-    scoreExplanation,
-    highlights: extractHighlights(text)
+    overallScore,
+    overallFeedback: getFallbackOverallFeedback(language, overallScore),
+    nextStepPlan: makeNextStepPlan(results, timeManagement),
+    results,
+    timeManagement,
+    drillProgress: compareDrillBaseline(results, drillBaseline)
   };
 }
 
-app.post('/api/generate-questions', async (req, res) => {
-  try {
-    const { resume, jobDescription, categories, language } = req.body;
+function questionKey(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
 
-    if (!resume || !jobDescription || !categories) {
-      return res.status(400).json({ error: 'Missing resume, jobDescription, or categories.' });
+function checkAnalysisCoverage(qaPairs) {
+  return (value) => {
+    if (value.results.length !== qaPairs.length) {
+      return `$.results must contain exactly ${qaPairs.length} item(s), one per Q&A pair in the same order, got ${value.results.length}`;
     }
+    const returned = new Set(value.results.map((item) => questionKey(item.question)));
+    const missing = qaPairs.findIndex((qa) => !returned.has(questionKey(qa.question)));
+    return missing >= 0 ? `$.results is missing Q&A pair ${missing + 1}; repeat its question verbatim: "${qaPairs[missing].question}"` : null;
+  };
+}
 
-    if (!hasApiKey) {
-      return res.json({ questions: generateFallbackQuestions(categories, normalizeLanguage(language)), source: 'fallback' });
+function alignResultsToPairs(results, qaPairs) {
+  const byQuestion = new Map(results.map((item) => [questionKey(item.question), item]));
+  return qaPairs.map((qa, i) => byQuestion.get(questionKey(qa.question)) || results[i]);
+}
+
+function buildAnalysisMessages({ resume, jobDescription, profile, qaPairs, language, role }) {
+  const rubricLines = qaPairs.map((qa, i) => {
+    const rubric = selectRubric(qa.category, role);
+    return `Q${i + 1} (${qa.category}) — ${rubric.name} rubric:\n${formatRubricForPrompt(rubric)}`;
+  }).join('\n');
+
+  return [
+    {
+      role: 'system',
+      content:
+        'You are a strict senior interview evaluator. Be realistic and critical. Most average answers should score between 45 and 70. Return only valid JSON with this exact format: {"overallScore": number,"overallFeedback": string,"results":[{"category":string,"question":string,"transcript":string,"score":number,"feedback":string,"improvementTips":[string]}]}. Return exactly one result per Q&A pair, in the same order, repeating each original question verbatim. When a Q&A pair includes a modelAnswer or rubricNotes written by the interview coach, grade the answer against them. When a Q&A pair includes exchanges, the transcript is the whole conversation of the candidate on that topic (the main answer plus answers to follow-up questions from the interviewer); grade the topic as a whole and note how well follow-ups were handled. When a Q&A pair includes timing (seconds to start vs thinking time, answer length vs limit, autoStopped when cut off at the limit), reflect time management in the score and feedback. Score each answer against the weighted rubric given for it; scores are 0-100 and must clearly reflect answer quality. IMPORTANT: all user-facing text fields (overallFeedback, feedback, improvementTips) must be entirely in the requested language.'
+    },
+    {
+      role: 'user',
+      content: `Evaluate this interview simulation.\nRequired language: ${normalizeLanguage(language)}. All user-facing text must be in ${normalizeLanguage(language)}.\n${describeCandidateContext({ resume, jobDescription, profile })}\n\nScoring rubrics:\n${rubricLines}\n\nInterview Q&A:\n${JSON.stringify(qaPairs.map(({ words, volumeLevels, ...qa }) => qa), null, 2)}`
     }
+  ];
+}
 
-    const categorySummary = Object.entries(categories)
-      .filter(([, count]) => Number(count) > 0)
-      .map(([category, count]) => `${category}: ${count}`)
-      .join(', ');
+function calibrateResult(qa, item, role, language) {
+  const local = evaluateTranscript(qa.transcript || '', { category: qa.category, role, language });
+  const modelScore = Number(item.score) || 0;
+  const blended = Math.round(modelScore * 0.55 + local.score * 0.45);
+  const score = Math.max(18, Math.min(94, blended));
 
-    const response = await client.responses.create({
-      model: 'gpt-4.1-mini',
-      input: [
-        {
-          role: 'system',
-          content:
-            'You are an expert interview coach. Return only valid JSON with this exact structure: {"questions":[{"category":"Behavioral|Technical|Situational|Motivational","question":"..."}]}. Do not include markdown or extra text. IMPORTANT: every question text must be in the requested language exactly.'
-        },
-        {
-          role: 'user',
-          content: `Create interview questions using the candidate resume and job description.\nCategory counts: ${categorySummary}\nRequired language: ${normalizeLanguage(language)}.\nAll question text must be in ${normalizeLanguage(language)}.\nResume:\n${resume}\n\nJob Description:\n${jobDescription}`
-        }
-      ]
-    });
+  return applyPreviousAttempt(applyTimeManagement({
+    category: qa.category,
+    question: qa.question,
+    transcript: qa.transcript,
+    feedback: item.feedback || local.feedback,
+    score,
+    improvementTips: item.improvementTips.length > 0 ? item.improvementTips : local.improvementTips,
+    rubric: local.rubric,
+    rubricBreakdown: local.rubricBreakdown,
+    scoreExplanation: local.scoreExplanation,
+    highlights: local.highlights,
+    delivery: computeDeliveryMetrics(qa, language),
+    modelAnswer: qa.modelAnswer || undefined,
+    exchanges: qa.exchanges
+  }, qa, language), qa);
+}
 
-    const parsed = JSON.parse(response.output_text);
-    if (!Array.isArray(parsed.questions)) return res.status(500).json({ error: 'Model response did not include a questions array.' });
+function averageScore(results) {
+  return results.length ? Math.round(results.reduce((sum, row) => sum + row.score, 0) / results.length) : 0;
+}
 
-    const normalizedQuestions = await forceQuestionsLanguage(parsed.questions, language);
-    res.json({ questions: normalizedQuestions, source: 'openai' });
+app.post('/api/analyze-interview', async (req, res) => {
+  let input;
+  try {
+    input = readInterviewInput(req.body);
   } catch (error) {
-    console.error('Question generation failed:', error);
-    res.status(200).json({
-      questions: generateFallbackQuestions(req.body?.categories, normalizeLanguage(req.body?.language)),
-      source: 'fallback',
-      warning: 'OpenAI question generation failed; fallback questions were used.'
-    });
+    console.error('Analysis input failed:', error);
+    return res.status(500).json({ error: 'Failed to analyze interview.' });
   }
-});
-
-app.post('/api/generate-follow-up', async (req, res) => {
-  try {
-    const { category, question, answer, language } = req.body;
-    if (!category || !question || !answer) return res.status(400).json({ error: 'Missing category, question, or answer.' });
+  if (!input.ok) return res.status(400).json({ error: input.error });
+  const { resume, jobDescription, profile, language, qaPairs, drillBaseline, timeManagement, role } = input.value;
 
-    if (!hasApiKey) {
-      return res.json({
-        followUpQuestion: normalizeLanguage(language) === 'English'
-          ? `Thanks. Can you go one level deeper: what did you personally do, and what measurable result came from that in this ${category.toLowerCase()} example?`
-          : `Please go one level deeper in ${normalizeLanguage(language)}: what actions did you personally take and what measurable result did you achieve?`,
-        source: 'fallback'
+  let outcome = null;
+  let warning;
+  if (llm) {
+    try {
+      outcome = await requestStructured('analysis', buildAnalysisMessages({ resume, jobDescription, profile, qaPairs, language, role }), {
+        schema: outputSchemas.analysis,
+        check: checkAnalysisCoverage(qaPairs),
+        context: { qaPairs, language: normalizeLanguage(language), role }
       });
+      if (!outcome.ok) warning = `Model analysis failed validation after ${outcome.attempts} attempt(s) (${outcome.error}); local scoring was used.`;
+    } catch (error) {
+      console.error('Model analysis failed:', error);
+      warning = 'Model analysis failed; local scoring was used.';
     }
+  }
 
-    const response = await client.responses.create({
-      model: 'gpt-4.1-mini',
-      input: [
-        {
-          role: 'system',
-          content:
-            'You are an interviewer. Ask exactly one short follow-up question based on the candidate answer. Focus on missing detail, ownership, trade-offs, or measurable outcomes. Return only JSON: {"followUpQuestion":"..."}. IMPORTANT: followUpQuestion must be written in the requested language only.'
-        },
-        {
-          role: 'user',
-          content: `Category: ${category}\nRequired language: ${normalizeLanguage(language)}. Return the follow-up question in ${normalizeLanguage(language)}.\nOriginal question: ${question}\nCandidate answer: ${answer}`
-        }
-      ]
-    });
+  try {
+    if (!outcome?.ok) {
+      return res.json({ ...buildFallbackAnalysis(qaPairs, language, role, timeManagement, drillBaseline), source: 'fallback', warning });
+    }
+
+    const aligned = alignResultsToPairs(outcome.value.results, qaPairs);
+    const calibratedResults = qaPairs.map((qa, i) => calibrateResult(qa, aligned[i], role, language));
 
-    const parsed = JSON.parse(response.output_text);
-    return res.json({ followUpQuestion: parsed.followUpQuestion, source: 'openai' });
-  } catch (error) {
-    console.error('Follow-up generation failed:', error);
     res.json({
-      followUpQuestion: normalizeLanguage(req.body?.language) === 'English'
-        ? 'Could you clarify your exact role, key action, and final measurable outcome?'
-        : `Please clarify (in ${normalizeLanguage(req.body?.language)}): your role, key action, and measurable outcome.`,
-      source: 'fallback'
+      overallScore: averageScore(calibratedResults),
+      overallFeedback: outcome.value.overallFeedback,
+      nextStepPlan: makeNextStepPlan(calibratedResults, timeManagement),
+      results: calibratedResults,
+      timeManagement,
+      drillProgress: compareDrillBaseline(calibratedResults, drillBaseline),
+      source: llm.name,
+      warning: outcome.warning
     });
+  } catch (error) {
+    console.error('Analysis failed:', error);
+    res.status(500).json({ error: 'Failed to analyze interview.' });
   }
 });
 
-app.post('/api/transcribe', upload.single('audio'), async (req, res) => {
+const ANALYSIS_CONCURRENCY = Math.max(1, Number(process.env.ANALYSIS_CONCURRENCY) || 3);
+
+async function analyzeSingleAnswer(qa, { resume, jobDescription, profile, language, role }) {
+  const fallback = () => buildFallbackAnalysis([qa], language, role).results[0];
+  if (!llm) return { result: fallback(), source: 'fallback' };
+
   try {
-    if (!req.file) return res.status(400).json({ error: 'Audio file is required.' });
-    if (!hasApiKey) {
-      return res.status(400).json({ error: 'OPENAI_API_KEY is not configured. Transcription unavailable; type your answer manually.' });
+    const outcome = await requestStructured('analysis', buildAnalysisMessages({ resume, jobDescription, profile, qaPairs: [qa], language, role }), {
+      schema: outputSchemas.analysis,
+      check: checkAnalysisCoverage([qa]),
+      context: { qaPairs: [qa], language: normalizeLanguage(language), role }
+    });
+    if (!outcome.ok) {
+      return { result: fallback(), source: 'fallback', warning: `Model analysis failed validation (${outcome.error}); local scoring was used.` };
     }
+    return { result: calibrateResult(qa, outcome.value.results[0], role, language), source: llm.name, warning: outcome.warning };
+  } catch (error) {
+    console.warn('Single-answer analysis failed:', error?.message || error);
+    return { result: fallback(), source: 'fallback', warning: 'Model analysis failed; local scoring was used.' };
+  }
+}
 
-    const audioFile = new File([req.file.buffer], req.file.originalname || 'answer.webm', {
-      type: req.file.mimetype || 'audio/webm'
-    });
+async function summarizeAnalysis(results, { language }) {
+  const overallScore = averageScore(results);
+  const fallbackFeedback = getFallbackOverallFeedback(language, overallScore);
+  if (!llm) return fallbackFeedback;
 
-    const transcription = await client.audio.transcriptions.create({ file: audioFile, model: 'gpt-4o-mini-transcribe' });
-    res.json({ transcript: transcription.text || '' });
+  try {
+    const outcome = await requestStructured('analysisSummary', [
+      {
+        role: 'system',
+        content:
+          'You are a strict senior interview evaluator. Given per-question scores and feedback, write 2-3 sentences of overall feedback. Return only JSON: {"overallFeedback":"..."}. IMPORTANT: overallFeedback must be entirely in the requested language.'
+      },
+      {
+        role: 'user',
+        content: `Required language: ${normalizeLanguage(language)}.\nOverall score: ${overallScore}/100\nPer-question results:\n${JSON.stringify(results.map(({ category, question, score, feedback }) => ({ category, question, score, feedback })), null, 2)}`
+      }
+    ], {
+      schema: outputSchemas.analysisSummary,
+      context: { overallScore, language: normalizeLanguage(language) }
+    });
+    return outcome.ok ? outcome.value.overallFeedback : fallbackFeedback;
   } catch (error) {
-    console.error('Transcription failed:', error);
-    res.status(500).json({ error: 'Failed to transcribe audio.' });
+    console.warn('Analysis summary failed:', error?.message || error);
+    return fallbackFeedback;
   }
-});
+}
 
-function makeNextStepPlan(results = []) {
-  const weak = results
-    .slice()
-    .sort((a, b) => a.score - b.score)
-    .slice(0, 3)
-    .map((item) => item.category);
-  if (weak.length === 0) return 'Continue regular practice with timed simulations and concise STAR answers.';
-  return `Next-step plan: run 2 focused drills on ${[...new Set(weak)].join(', ')} and include one metric + one trade-off in every answer.`;
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 }
 
-app.post('/api/analyze-interview', async (req, res) => {
+app.post('/api/analyze-interview/stream', async (req, res) => {
+  let closed = false;
   try {
-    const { resume, jobDescription, qaPairs, language } = req.body;
-    if (!resume || !jobDescription || !Array.isArray(qaPairs) || qaPairs.length === 0) {
-      return res.status(400).json({ error: 'Missing required interview data.' });
-    }
-
-    if (!hasApiKey) {
-      const results = qaPairs.map((qa) => {
-        const evaluated = evaluateTranscript(qa.transcript);
-        return {
-          category: qa.category,
-          question: qa.question,
-          transcript: qa.transcript,
-          score: evaluated.score,
-          feedback: evaluated.feedback,
-          improvementTips: evaluated.improvementTips,
-          rubricBreakdown: evaluated.rubricBreakdown,
-          scoreExplanation: evaluated.scoreExplanation,
-          highlights: evaluated.highlights
-        };
-      });
-
-      const overallScore = Math.round(results.reduce((sum, item) => sum + item.score, 0) / results.length);
-      const selectedLanguage = normalizeLanguage(language);
-      const fallbackOverallFeedback =
-        selectedLanguage === 'Dutch'
-          ? (overallScore >= 75
-              ? 'Sterke algemene prestatie. Houd je antwoorden beknopt en onderbouwd met bewijs.'
-              : 'Je interview heeft meer structuur en meetbare impact per antwoord nodig.')
-          : selectedLanguage === 'French'
-            ? (overallScore >= 75
-                ? 'Performance globale solide. Gardez des réponses concises et appuyées par des preuves.'
-                : 'Votre entretien a besoin de plus de structure et d\'impact mesurable dans chaque réponse.')
-            : selectedLanguage === 'Romanian'
-              ? (overallScore >= 75
-                  ? 'Performanță generală solidă. Menține răspunsurile concise și susținute de dovezi.'
-                  : 'Interviul tău are nevoie de mai multă structură și impact măsurabil în fiecare răspuns.')
-              : selectedLanguage === 'Russian'
-                ? (overallScore >= 75
-                    ? 'Хороший общий результат. Держите ответы краткими и подкрепляйте фактами.'
-                    : 'Вашему интервью нужна более чёткая структура и измеримый результат в каждом ответе.')
-                : overallScore >= 75
-                  ? 'Solid overall performance. Keep answers concise and evidence-backed.'
-                  : 'Your interview needs stronger structure and measurable impact in each response.';
-
-      return res.json({
-        overallScore,
-        overallFeedback: fallbackOverallFeedback,
-        nextStepPlan: makeNextStepPlan(results),
-        results,
-        source: 'fallback'
-      });
-    }
+    const input = readInterviewInput(req.body);
+    if (!input.ok) return res.status(400).json({ error: input.error });
+    const { resume, jobDescription, profile, language, qaPairs, drillBaseline, timeManagement, role } = input.value;
 
-    const response = await client.responses.create({
-      model: 'gpt-4.1-mini',
-      input: [
-        {
-          role: 'system',
-          content:
-            'You are a strict senior interview evaluator. Be realistic and critical. Most average answers should score between 45 and 70. Return only valid JSON with this exact format: {"overallScore": number,"overallFeedback": string,"results":[{"category":string,"question":string,"transcript":string,"score":number,"feedback":string,"improvementTips":[string]}]}. Scores are 0-100 and must clearly reflect answer quality. IMPORTANT: all user-facing text fields (overallFeedback, feedback, improvementTips) must be entirely in the requested language.'
-        },
-        {
-          role: 'user',
-          content: `Evaluate this interview simulation.\nRequired language: ${normalizeLanguage(language)}. All user-facing text must be in ${normalizeLanguage(language)}.\nResume:\n${resume}\n\nJob Description:\n${jobDescription}\n\nInterview Q&A:\n${JSON.stringify(qaPairs, null, 2)}`
-        }
-      ]
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
     });
+    res.on('close', () => { closed = true; });
 
-    const parsed = JSON.parse(response.output_text);
-    const calibratedResults = (parsed.results || []).map((item) => {
-      const local = evaluateTranscript(item.transcript || '');
-      const modelScore = Number(item.score) || 0;
-      const blended = Math.round(modelScore * 0.55 + local.score * 0.45);
-      const score = Math.max(18, Math.min(94, blended));
-
-      return {
-        category: item.category,
-        question: item.question,
-        transcript: item.transcript,
-        feedback: item.feedback || local.feedback,
-        score,
-        improvementTips:
-          Array.isArray(item.improvementTips) && item.improvementTips.length > 0 ? item.improvementTips : local.improvementTips,
-        rubricBreakdown: local.rubricBreakdown,
-        scoreExplanation: local.scoreExplanation,
-        highlights: local.highlights
-      };
-    });
+    sendEvent(res, 'start', { total: qaPairs.length });
+    const results = new Array(qaPairs.length);
+    const sources = new Set();
+    const warnings = [];
+    let next = 0;
 
-    const overallScore = calibratedResults.length
-      ? Math.round(calibratedResults.reduce((sum, row) => sum + row.score, 0) / calibratedResults.length)
-      : 0;
+    const worker = async () => {
+      while (next < qaPairs.length && !closed) {
+        const index = next;
+        next += 1;
+        const outcome = await analyzeSingleAnswer(qaPairs[index], { resume, jobDescription, profile, language, role });
+        results[index] = outcome.result;
+        sources.add(outcome.source);
+        if (outcome.warning) warnings.push(`Q${index + 1}: ${outcome.warning}`);
+        if (!closed) sendEvent(res, 'result', { index, result: outcome.result, source: outcome.source, warning: outcome.warning });
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(ANALYSIS_CONCURRENCY, qaPairs.length) }, worker));
+    if (closed) return;
 
-    res.json({
-      overallScore,
-      overallFeedback: parsed.overallFeedback || 'Interview analysis generated successfully.',
-      nextStepPlan: makeNextStepPlan(calibratedResults),
-      results: calibratedResults,
-      source: 'openai'
+    sendEvent(res, 'done', {
+      overallScore: averageScore(results),
+      overallFeedback: await summarizeAnalysis(results, { language }),
+      nextStepPlan: makeNextStepPlan(results, timeManagement),
+      results,
+      timeManagement,
+      drillProgress: compareDrillBaseline(results, drillBaseline),
+      source: sources.size === 1 ? [...sources][0] : [...sources].join('+'),
+      warning: warnings.length ? warnings.join(' ') : undefined
     });
   } catch (error) {
-    console.error('Analysis failed:', error);
-    res.status(500).json({ error: 'Failed to analyze interview.' });
+    console.error('Streaming analysis failed:', error);
+    if (!res.headersSent) return res.status(500).json({ error: 'Failed to analyze interview.' });
+    if (!closed) sendEvent(res, 'error', { error: 'Failed to analyze interview.' });
+  } finally {
+    if (!res.writableEnded) res.end();
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`PrepGPT running at http://localhost:${PORT}`);
-});
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`PrepGPT running at http://localhost:${PORT}`);
+  });
+}
+
+module.exports = {
+  app,
+  mockResponders,
+  createJsonFileStore,
+  hashPassword,
+  verifyPassword,
+  parseModelJson,
+  validateSchema,
+  requestStructured,
+  parseCsv,
+  questionsFromCsv,
+  validateQuestionSet,
+  scheduleFromHistory,
+  computeDeliveryMetrics,
+  htmlToText,
+  rtfToText
+};
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+function parseEvents(text) {
+  return text.trim().split('\n\n').map((block) => {
+    const event = block.match(/^event: (.+)$/m)[1];
+    const data = JSON.parse(block.match(/^data: (.+)$/m)[1]);
+    return { event, data };
+  });
+}
+
+const interview = {
+  resume: 'Backend engineer with five years of Node.js experience.',
+  jobDescription: 'Senior backend engineer to own our billing platform.',
+  language: 'English',
+  qaPairs: [
+    {
+      category: 'Behavioral',
+      question: 'Tell me about a project you led.',
+      transcript: 'In my last role the situation was slow releases, so I set up automated tests and a staged rollout. As a result we cut release time by 60 percent.'
+    },
+    { category: 'Technical', question: 'How would you design a rate limiter?', transcript: 'Um, I would use a token bucket in Redis, like, per API key.' }
+  ]
+};
+
+test('stream sends start, one result per answer in any order, then done', async (t) => {
+  const { base, close } = await startServer();
+  t.after(close);
+
+  const response = await fetch(`${base}/api/analyze-interview/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(interview)
+  });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+  const events = parseEvents(await response.text());
+  assert.deepEqual(events[0], { event: 'start', data: { total: 2 } });
+
+  const results = events.filter((item) => item.event === 'result');
+  assert.deepEqual(results.map((item) => item.data.index).sort(), [0, 1]);
+  results.forEach((item) => assert.equal(item.data.result.question, interview.qaPairs[item.data.index].question));
+
+  const done = events[events.length - 1];
+  assert.equal(done.event, 'done');
+  assert.equal(done.data.results.length, 2);
+  assert.equal(done.data.source, 'mock');
+  assert.ok(done.data.overallScore >= 0 && done.data.overallScore <= 100);
+});
+
+test('stream rejects invalid input with a JSON error before streaming', async (t) => {
+  const { base, close } = await startServer();
+  t.after(close);
+
+  const response = await fetch(`${base}/api/analyze-interview/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...interview, qaPairs: [] })
+  });
+  assert.equal(response.status, 400);
+  assert.ok((await response.json()).error);
+});
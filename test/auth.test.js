@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server, TEST_PASSWORD, startServer, createClient, signUp } = require('./helpers');
+
+const { hashPassword, verifyPassword } = server;
+
+test('hashPassword salts each hash and verifyPassword checks it', async () => {
+  const first = await hashPassword('s3cret-password');
+  const second = await hashPassword('s3cret-password');
+
+  assert.match(first, /^scrypt:[0-9a-f]{32}:[0-9a-f]{128}$/);
+  assert.notEqual(first, second);
+  assert.equal(await verifyPassword('s3cret-password', first), true);
+  assert.equal(await verifyPassword('wrong-password', first), false);
+});
+
+test('verifyPassword rejects malformed or unknown hashes', async () => {
+  assert.equal(await verifyPassword('anything', ''), false);
+  assert.equal(await verifyPassword('anything', 'bcrypt:abc:def'), false);
+  assert.equal(await verifyPassword('anything', 'scrypt::'), false);
+});
+
+test('session cookie flow: sign up, read /api/me, log out, log back in', async (t) => {
+  const { base, close } = await startServer();
+  t.after(close);
+  const client = createClient(base);
+
+  assert.equal((await client.request('GET', '/api/me')).status, 401);
+
+  const user = await signUp(client);
+  assert.equal(user.passwordHash, undefined);
+  const me = await client.request('GET', '/api/me');
+  assert.equal(me.status, 200);
+  assert.equal(me.body.user.email, user.email);
+
+  assert.equal((await client.request('POST', '/api/auth/logout')).status, 200);
+  assert.equal((await client.request('GET', '/api/me')).status, 401);
+
+  const wrong = await client.request('POST', '/api/auth/login', { email: user.email, password: 'not the password' });
+  assert.equal(wrong.status, 401);
+  const unknown = await client.request('POST', '/api/auth/login', { email: 'nobody@example.com', password: TEST_PASSWORD });
+  assert.equal(unknown.status, 401);
+  assert.equal(unknown.body.error, wrong.body.error);
+
+  const login = await client.request('POST', '/api/auth/login', { email: user.email.toUpperCase(), password: TEST_PASSWORD });
+  assert.equal(login.status, 200);
+  assert.equal((await client.request('GET', '/api/me')).status, 200);
+});
+
+test('sign-up rejects short passwords and duplicate emails', async (t) => {
+  const { base, close } = await startServer();
+  t.after(close);
+  const client = createClient(base);
+
+  const short = await client.request('POST', '/api/auth/signup', { name: 'A', email: 'short@example.com', password: 'short' });
+  assert.equal(short.status, 400);
+
+  const user = await signUp(client);
+  const duplicate = await createClient(base).request('POST', '/api/auth/signup', { name: 'B', email: user.email, password: TEST_PASSWORD });
+  assert.equal(duplicate.status, 409);
+});
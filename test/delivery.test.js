@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server } = require('./helpers');
+
+const { computeDeliveryMetrics } = server;
+
+const timedWords = [
+  ['So', 0, 0.4], ['um', 0.5, 0.9], ['I', 1.0, 1.4], ['led', 1.5, 1.9],
+  ['the', 4.9, 5.3], ['uh', 5.4, 5.8], ['migration', 5.9, 6.3], ['like', 6.4, 6.8]
+].map(([word, start, end]) => ({ word, start, end }));
+
+test('timed words give pace, pauses, talk ratio and filler rates', () => {
+  const metrics = computeDeliveryMetrics({ words: timedWords, recordedSeconds: 10, transcript: 'ignored when timed' });
+
+  assert.equal(metrics.timed, true);
+  assert.equal(metrics.wordCount, 8);
+  assert.equal(metrics.talkSeconds, 6.8);
+  assert.equal(metrics.talkRatio, 0.68);
+  assert.equal(metrics.wordsPerMinute, 71);
+  assert.equal(metrics.pace, 'slow');
+  assert.deepEqual(metrics.pauses, { count: 1, longestSeconds: 3, totalSeconds: 3, items: [{ at: 1.9, seconds: 3 }] });
+  assert.equal(metrics.fillers.count, 3);
+  assert.equal(metrics.fillers.per100Words, 37.5);
+  assert.equal(metrics.fillers.timeline.length, 4);
+  assert.equal(metrics.fillers.timeline.reduce((sum, window) => sum + window.count, 0), 3);
+});
+
+test('without timestamps the transcript and recording length are used', () => {
+  const transcript = Array(150).fill('word').join(' ');
+  const metrics = computeDeliveryMetrics({ transcript, recordedSeconds: 60 });
+
+  assert.equal(metrics.timed, false);
+  assert.equal(metrics.wordsPerMinute, 150);
+  assert.equal(metrics.pace, 'steady');
+  assert.equal(metrics.pauses, null);
+  assert.deepEqual(metrics.fillers.timeline, []);
+});
+
+test('filler words only count as whole words', () => {
+  const metrics = computeDeliveryMetrics({ transcript: 'I would like to, um, unlike others, you know, help', recordedSeconds: 5 });
+  assert.equal(metrics.fillers.count, 3);
+});
+
+test('malformed words are dropped and no signal at all returns null', () => {
+  assert.equal(computeDeliveryMetrics({ transcript: 'hello there' }), null);
+  assert.equal(computeDeliveryMetrics({ words: [{ word: 'x', start: 2, end: 1 }, { word: '', start: 0, end: 1 }, null] }), null);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server, startServer } = require('./helpers');
+
+const { htmlToText, rtfToText } = server;
+
+test('htmlToText drops scripts and comments and keeps headings, lists and entities', () => {
+  const html = '<html><head><title>x</title></head><body><script>alert(1)</script><!-- note -->'
+    + '<h2>Experience</h2><ul><li>Led <b>billing</b> migration</li><li>Cut costs &amp; time</li></ul><p>Line one<br>Line two</p></body></html>';
+  const text = htmlToText(html);
+
+  assert.ok(!text.includes('alert'));
+  assert.ok(!text.includes('note'));
+  assert.match(text, /## Experience\n/);
+  assert.match(text, /\n- Led billing migration/);
+  assert.match(text, /\n- Cut costs & time/);
+  assert.match(text, /Line one\nLine two/);
+});
+
+test('rtfToText skips header groups and decodes escapes', () => {
+  const rtf = '{\\rtf1\\ansi{\\fonttbl{\\f0 Arial;}}{\\colortbl;\\red0\\green0\\blue0;}{\\*\\generator Word;}'
+    + '\\f0\\fs24 Caf\\\'e9 \\u8364? budget\\par \\bullet Shipped v2\\tab done\\par}';
+  const text = rtfToText(rtf);
+
+  assert.ok(!text.includes('Arial'));
+  assert.ok(!text.includes('generator'));
+  assert.match(text, /Café € budget\n/);
+  assert.match(text, /• Shipped v2\tdone/);
+});
+
+test('extract-text reads an uploaded RTF document and rejects requests without a file', async (t) => {
+  const { base, close } = await startServer();
+  t.after(close);
+
+  const form = new FormData();
+  form.append('file', new Blob(['{\\rtf1\\ansi Senior engineer\\par Led the platform team\\par}'], { type: 'application/rtf' }), 'resume.rtf');
+  const response = await fetch(`${base}/api/extract-text`, { method: 'POST', body: form });
+  const body = await response.json();
+  assert.equal(response.status, 200);
+  assert.equal(body.format, 'rtf');
+  assert.match(body.text, /Senior engineer\s+Led the platform team/);
+
+  const missing = await fetch(`${base}/api/extract-text`, { method: 'POST' });
+  assert.equal(missing.status, 400);
+});
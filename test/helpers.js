@@ -0,0 +1,61 @@
+const { mkdtempSync, rmSync } = require('fs');
+const { once } = require('events');
+const os = require('os');
+const path = require('path');
+
+const dataDir = mkdtempSync(path.join(os.tmpdir(), 'prepgpt-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.LLM_PROVIDER = 'mock';
+process.env.STT_PROVIDER = 'none';
+process.env.TTS_PROVIDER = 'none';
+process.on('exit', () => rmSync(dataDir, { recursive: true, force: true }));
+
+const server = require('../server');
+
+async function startServer() {
+  const listener = server.app.listen(0, '127.0.0.1');
+  await once(listener, 'listening');
+  return {
+    base: `http://127.0.0.1:${listener.address().port}`,
+    close() {
+      listener.closeAllConnections();
+      return new Promise((resolve) => listener.close(resolve));
+    }
+  };
+}
+
+function createClient(base) {
+  let cookie = '';
+  return {
+    async request(method, url, body) {
+      const response = await fetch(`${base}${url}`, {
+        method,
+        headers: {
+          ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+          ...(cookie ? { Cookie: cookie } : {})
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      const setCookie = response.headers.getSetCookie()[0];
+      if (setCookie) cookie = setCookie.split(';')[0];
+      const type = response.headers.get('content-type') || '';
+      return { status: response.status, body: type.includes('json') ? await response.json() : await response.text() };
+    }
+  };
+}
+
+const TEST_PASSWORD = 'correct horse battery';
+let signups = 0;
+
+async function signUp(client) {
+  signups += 1;
+  const { status, body } = await client.request('POST', '/api/auth/signup', {
+    name: 'Test User',
+    email: `user${signups}-${process.pid}@example.com`,
+    password: TEST_PASSWORD
+  });
+  if (status !== 201) throw new Error(`Sign-up failed with ${status}: ${JSON.stringify(body)}`);
+  return body.user;
+}
+
+module.exports = { server, dataDir, TEST_PASSWORD, startServer, createClient, signUp };
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server, startServer, createClient, signUp } = require('./helpers');
+
+const { scheduleFromHistory } = server;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const start = Date.parse('2026-01-01T09:00:00.000Z');
+const history = (scores) => scores.map((score, i) => ({ score, at: new Date(start + i * DAY_MS).toISOString() }));
+
+test('strong answers grow the interval 1, 3, then by the ease factor', () => {
+  assert.equal(scheduleFromHistory(history([90])).intervalDays, 1);
+  assert.equal(scheduleFromHistory(history([90, 90])).intervalDays, 3);
+
+  const third = scheduleFromHistory(history([90, 90, 90]));
+  assert.equal(third.repetitions, 3);
+  assert.equal(third.intervalDays, Math.round(3 * 2.7));
+  assert.equal(third.ease, 2.8);
+});
+
+test('a weak answer resets repetitions and lowers the ease', () => {
+  const item = scheduleFromHistory(history([90, 90, 90, 30]));
+  assert.equal(item.repetitions, 0);
+  assert.equal(item.intervalDays, 1);
+  assert.ok(item.ease < 2.7);
+  assert.equal(item.lastScore, 30);
+});
+
+test('dueAt is the last practice plus the interval', () => {
+  const item = scheduleFromHistory(history([90, 90]));
+  assert.equal(item.lastPracticedAt, '2026-01-02T09:00:00.000Z');
+  assert.equal(item.dueAt, '2026-01-05T09:00:00.000Z');
+});
+
+test('ease never drops below the floor after repeated failures', () => {
+  assert.equal(scheduleFromHistory(history(Array(30).fill(0))).ease, 1.3);
+});
+
+test('intervals are capped at a year however long the streak', () => {
+  const item = scheduleFromHistory(history(Array(200).fill(100)));
+  assert.equal(item.intervalDays, 365);
+  assert.ok(Number.isFinite(Date.parse(item.dueAt)));
+});
+
+test('concurrent session saves all land in the practice history', async (t) => {
+  const { base, close } = await startServer();
+  t.after(close);
+  const client = createClient(base);
+  await signUp(client);
+
+  const question = 'Tell me about a time you disagreed with your manager.';
+  const saves = await Promise.all(Array.from({ length: 6 }, (_, i) => client.request('POST', '/api/sessions', {
+    language: 'English',
+    analysis: { results: [{ category: 'Behavioral', question, transcript: 'I listened first.', score: 50 + i * 5 }] }
+  })));
+  assert.deepEqual(saves.map((save) => save.status), Array(6).fill(201));
+
+  const { status, body } = await client.request('GET', '/api/practice-schedule');
+  assert.equal(status, 200);
+  const item = body.items.find((entry) => entry.kind === 'question' && entry.question === question);
+  assert.equal(item.history.length, 6);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server, startServer, createClient, signUp } = require('./helpers');
+
+const { parseCsv, questionsFromCsv, validateQuestionSet } = server;
+
+test('parseCsv handles quotes, escaped quotes, embedded newlines, CRLF and a BOM', () => {
+  const csv = '﻿category,question\r\nBehavioral,"Tell me about ""that"" time,\nplease"\r\nTechnical,Plain\n\n';
+  assert.deepEqual(parseCsv(csv), [
+    ['category', 'question'],
+    ['Behavioral', 'Tell me about "that" time,\nplease'],
+    ['Technical', 'Plain']
+  ]);
+});
+
+test('parseCsv keeps a last row without a trailing newline and drops blank rows', () => {
+  assert.deepEqual(parseCsv('a,b\n , \nc,'), [['a', 'b'], ['c', '']]);
+});
+
+test('questionsFromCsv maps header spellings to fields and requires category and question', () => {
+  assert.deepEqual(questionsFromCsv('Category,Question,Model Answer,rubric_notes\nTechnical,Why?,Because,Be brief'), [
+    { category: 'Technical', question: 'Why?', modelAnswer: 'Because', rubricNotes: 'Be brief' }
+  ]);
+  assert.equal(questionsFromCsv('question\nWhy?'), null);
+});
+
+test('validateQuestionSet normalises categories and trims fields', () => {
+  const result = validateQuestionSet({
+    name: '  Backend loop ',
+    shared: 1,
+    questions: [{ category: ' technical ', question: ' Design a cache. ', modelAnswer: 42 }]
+  });
+  assert.deepEqual(result, {
+    ok: true,
+    value: {
+      name: 'Backend loop',
+      description: '',
+      shared: true,
+      questions: [{ category: 'Technical', question: 'Design a cache.', modelAnswer: '42', rubricNotes: '' }]
+    }
+  });
+});
+
+test('validateQuestionSet names the first bad row', () => {
+  assert.equal(validateQuestionSet({ questions: [{}] }).error, 'Question set name is required.');
+  assert.equal(validateQuestionSet({ name: 'x', questions: [] }).error, 'A question set needs at least one question.');
+  assert.match(validateQuestionSet({ name: 'x', questions: [{ category: 'Technical', question: 'ok' }, { category: 'Trivia', question: 'no' }] }).error, /^Question 2: category must be one of/);
+  assert.equal(validateQuestionSet({ name: 'x', questions: [{ category: 'Technical', question: ' ' }] }).error, 'Question 1: question text is required.');
+});
+
+test('import accepts CSV and JSON, rejects bad input and exports CSV back', async (t) => {
+  const { base, close } = await startServer();
+  t.after(close);
+  const client = createClient(base);
+  await signUp(client);
+
+  const csv = await client.request('POST', '/api/question-sets/import', {
+    format: 'csv',
+    name: 'From CSV',
+    content: 'category,question,modelAnswer\nBehavioral,"Tell me about a conflict, briefly.",Use STAR'
+  });
+  assert.equal(csv.status, 201);
+  assert.deepEqual(csv.body.set.questions, [
+    { category: 'Behavioral', question: 'Tell me about a conflict, briefly.', modelAnswer: 'Use STAR', rubricNotes: '' }
+  ]);
+
+  const json = await client.request('POST', '/api/question-sets/import', {
+    format: 'json',
+    content: JSON.stringify({ name: 'From JSON', questions: [{ category: 'Motivational', question: 'Why us?' }] })
+  });
+  assert.equal(json.status, 201);
+  assert.equal(json.body.set.name, 'From JSON');
+
+  assert.equal((await client.request('POST', '/api/question-sets/import', { format: 'json', content: '{' })).status, 400);
+  assert.equal((await client.request('POST', '/api/question-sets/import', { format: 'csv', name: 'x', content: 'question\nWhy?' })).status, 400);
+  assert.equal((await client.request('POST', '/api/question-sets/import', { format: 'xml', content: '' })).status, 400);
+
+  const exported = await client.request('GET', `/api/question-sets/${csv.body.set.id}/export?format=csv`);
+  assert.equal(exported.status, 200);
+  assert.deepEqual(questionsFromCsv(exported.body), csv.body.set.questions);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readFile, writeFile } = require('fs/promises');
+const path = require('path');
+const { server, dataDir } = require('./helpers');
+
+const { createJsonFileStore } = server;
+
+test('insert assigns ids and persists records to disk', async () => {
+  const file = path.join(dataDir, 'store-insert.json');
+  const store = createJsonFileStore(file);
+  const created = await store.insert('notes', { text: 'hello' });
+
+  assert.match(created.id, /^[0-9a-f-]{36}$/);
+  assert.deepEqual(await store.get('notes', created.id), created);
+  assert.deepEqual(JSON.parse(await readFile(file, 'utf8')).notes, [created]);
+});
+
+test('a fresh store reads what an earlier store wrote', async () => {
+  const file = path.join(dataDir, 'store-reload.json');
+  const first = createJsonFileStore(file);
+  const created = await first.insert('notes', { text: 'kept' });
+
+  const second = createJsonFileStore(file);
+  assert.deepEqual(await second.find('notes', (note) => note.text === 'kept'), created);
+});
+
+test('concurrent first calls share one load and one cache', async () => {
+  const file = path.join(dataDir, 'store-concurrent-load.json');
+  await writeFile(file, JSON.stringify({ notes: [{ id: 'a', text: 'existing' }] }));
+  const store = createJsonFileStore(file);
+
+  await Promise.all([
+    store.insert('notes', { text: 'one' }),
+    store.insert('notes', { text: 'two' }),
+    store.list('notes')
+  ]);
+
+  const texts = (await store.list('notes')).map((note) => note.text).sort();
+  assert.deepEqual(texts, ['existing', 'one', 'two']);
+});
+
+test('queued writes leave every concurrent insert on disk', async () => {
+  const file = path.join(dataDir, 'store-write-queue.json');
+  const store = createJsonFileStore(file);
+
+  await Promise.all(Array.from({ length: 25 }, (_, i) => store.insert('notes', { n: i })));
+
+  const onDisk = JSON.parse(await readFile(file, 'utf8')).notes.map((note) => note.n).sort((a, b) => a - b);
+  assert.deepEqual(onDisk, Array.from({ length: 25 }, (_, i) => i));
+});
+
+test('update merges a patch and keeps the id', async () => {
+  const store = createJsonFileStore(path.join(dataDir, 'store-update.json'));
+  const created = await store.insert('notes', { text: 'old', pinned: true });
+
+  const updated = await store.update('notes', created.id, { text: 'new', id: 'ignored' });
+  assert.deepEqual(updated, { id: created.id, text: 'new', pinned: true });
+  assert.equal(await store.update('notes', 'missing', { text: 'x' }), null);
+});
+
+test('upsertMany updates known ids and inserts the rest in one save', async () => {
+  const file = path.join(dataDir, 'store-upsert.json');
+  const store = createJsonFileStore(file);
+  const existing = await store.insert('notes', { text: 'old', pinned: true });
+
+  const saved = await store.upsertMany('notes', [{ id: existing.id, text: 'new' }, { text: 'added' }]);
+
+  assert.deepEqual(saved[0], { id: existing.id, text: 'new', pinned: true });
+  assert.equal(saved[1].text, 'added');
+  assert.ok(saved[1].id);
+  assert.equal(JSON.parse(await readFile(file, 'utf8')).notes.length, 2);
+});
+
+test('remove deletes matching records and reports how many went', async () => {
+  const store = createJsonFileStore(path.join(dataDir, 'store-remove.json'));
+  await store.insert('notes', { keep: true });
+  await store.insert('notes', { keep: false });
+  await store.insert('notes', { keep: false });
+
+  assert.equal(await store.remove('notes', (note) => !note.keep), 2);
+  assert.equal(await store.remove('notes', (note) => !note.keep), 0);
+  assert.equal((await store.list('notes')).length, 1);
+});
+
+test('a corrupt database file rejects instead of being overwritten', async () => {
+  const file = path.join(dataDir, 'store-corrupt.json');
+  await writeFile(file, '{ not json');
+  const store = createJsonFileStore(file);
+
+  await assert.rejects(store.list('notes'), SyntaxError);
+  assert.equal(await readFile(file, 'utf8'), '{ not json');
+});
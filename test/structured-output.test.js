@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server } = require('./helpers');
+
+const { parseModelJson, validateSchema, requestStructured, mockResponders } = server;
+
+const questionsSchema = {
+  type: 'object',
+  required: ['questions'],
+  properties: {
+    questions: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['category', 'question'],
+        properties: {
+          category: { type: 'string', enum: ['Behavioral', 'Technical'] },
+          question: { type: 'string', minLength: 1 }
+        }
+      }
+    }
+  }
+};
+
+test('parseModelJson passes valid JSON through untouched', () => {
+  assert.deepEqual(parseModelJson('{"a":1}'), { value: { a: 1 }, repaired: false });
+});
+
+test('parseModelJson repairs fences, chatter, trailing commas and truncation', () => {
+  assert.deepEqual(parseModelJson('```json\n{"a": [1, 2,],}\n```'), { value: { a: [1, 2] }, repaired: true });
+  assert.deepEqual(parseModelJson('Sure! Here it is: {"a": 1} Hope that helps.').value, { a: 1 });
+  assert.deepEqual(parseModelJson('{"questions": [{"question": "Why us?", "category": "Beh').value, {
+    questions: [{ question: 'Why us?', category: 'Beh' }]
+  });
+  assert.throws(() => parseModelJson('no json here'), /no JSON object found/);
+});
+
+test('validateSchema reports paths for every problem', () => {
+  assert.deepEqual(validateSchema({ questions: [{ category: 'Behavioral', question: 'Why?' }] }, questionsSchema), []);
+  assert.deepEqual(validateSchema({ questions: [{ category: 'Other', question: ' ' }] }, questionsSchema), [
+    '$.questions[0].category must be one of Behavioral|Technical',
+    '$.questions[0].question must not be empty'
+  ]);
+  assert.deepEqual(validateSchema({ questions: [] }, questionsSchema), ['$.questions must have at least 1 item(s)']);
+  assert.deepEqual(validateSchema([], questionsSchema), ['$ must be object, got array']);
+  assert.deepEqual(validateSchema({ score: 140 }, {
+    type: 'object',
+    properties: { score: { type: 'number', minimum: 0, maximum: 100 } }
+  }), ['$.score must be <= 100']);
+});
+
+test('requestStructured returns the first valid response', async () => {
+  const outcome = await requestStructured('followUp', [{ role: 'user', content: 'Ask a follow-up.' }], {
+    schema: { type: 'object', required: ['followUpQuestion'], properties: { followUpQuestion: { type: 'string', minLength: 1 } } },
+    context: { category: 'Behavioral', language: 'English' }
+  });
+
+  assert.equal(outcome.ok, true);
+  assert.equal(outcome.attempts, 1);
+  assert.equal(outcome.warning, undefined);
+  assert.equal(typeof outcome.value.followUpQuestion, 'string');
+});
+
+test('requestStructured retries with the validation errors and then succeeds', async (t) => {
+  const original = mockResponders.drill;
+  t.after(() => { mockResponders.drill = original; });
+  const seen = [];
+  let calls = 0;
+  mockResponders.drill = () => {
+    calls += 1;
+    return calls === 1 ? { questions: [] } : { questions: [{ category: 'Technical', question: 'How would you shard it?' }] };
+  };
+
+  const messages = [{ role: 'user', content: 'Rephrase.' }];
+  const outcome = await requestStructured('drill', messages, {
+    schema: questionsSchema,
+    check: (value) => {
+      seen.push(value.questions.length);
+      return null;
+    }
+  });
+
+  assert.equal(outcome.ok, true);
+  assert.equal(outcome.attempts, 2);
+  assert.equal(outcome.warning, 'Model output needed 2 attempts to pass validation.');
+  assert.deepEqual(seen, [1]);
+  assert.equal(messages.length, 1);
+});
+
+test('requestStructured gives up after the last attempt with the check error', async (t) => {
+  const original = mockResponders.drill;
+  t.after(() => { mockResponders.drill = original; });
+  mockResponders.drill = () => ({ questions: [{ category: 'Behavioral', question: 'Why?' }] });
+
+  const outcome = await requestStructured('drill', [{ role: 'user', content: 'Rephrase.' }], {
+    schema: questionsSchema,
+    check: () => 'expected 2 Behavioral question(s), got 1'
+  });
+
+  assert.equal(outcome.ok, false);
+  assert.equal(outcome.error, 'expected 2 Behavioral question(s), got 1');
+});